@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "failed_login_attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "locked_until" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "login_attempts" (
+    "id" SERIAL NOT NULL,
+    "email" VARCHAR(255) NOT NULL,
+    "ip_address" VARCHAR(45),
+    "succeeded" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "login_attempts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "login_attempts_email_created_at_idx" ON "login_attempts"("email", "created_at");
+
+-- CreateIndex
+CREATE INDEX "login_attempts_ip_address_created_at_idx" ON "login_attempts"("ip_address", "created_at");
@@ -0,0 +1,91 @@
+-- CreateTable
+CREATE TABLE "roles" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(50) NOT NULL,
+    "description" TEXT,
+    "is_system" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "role_permissions" (
+    "id" SERIAL NOT NULL,
+    "role_id" INTEGER NOT NULL,
+    "permission" VARCHAR(100) NOT NULL,
+
+    CONSTRAINT "role_permissions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "user_roles" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "role_id" INTEGER NOT NULL,
+    "assigned_by" INTEGER,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "user_roles_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "roles_name_key" ON "roles"("name");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "role_permissions_role_id_permission_key" ON "role_permissions"("role_id", "permission");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_roles_user_id_role_id_key" ON "user_roles"("user_id", "role_id");
+
+-- AddForeignKey
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_role_id_fkey" FOREIGN KEY ("role_id") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "user_roles" ADD CONSTRAINT "user_roles_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "user_roles" ADD CONSTRAINT "user_roles_role_id_fkey" FOREIGN KEY ("role_id") REFERENCES "roles"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "user_roles" ADD CONSTRAINT "user_roles_assigned_by_fkey" FOREIGN KEY ("assigned_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- Seed built-in roles
+INSERT INTO "roles" ("name", "description", "is_system") VALUES
+    ('admin', 'Full access to every admin feature', true),
+    ('support', 'Customer support: view customers and orders, update order status, unlock accounts', true),
+    ('inventory_manager', 'Manage products, variants, stock and categories', true),
+    ('content_editor', 'Edit product and category content', true);
+
+INSERT INTO "role_permissions" ("role_id", "permission")
+SELECT r."id", p."permission"
+FROM "roles" r
+JOIN (VALUES
+    ('admin', '*'),
+    ('support', 'users:read'),
+    ('support', 'users:unlock'),
+    ('support', 'orders:read'),
+    ('support', 'orders:update_status'),
+    ('support', 'dashboard:read'),
+    ('inventory_manager', 'products:read'),
+    ('inventory_manager', 'products:write'),
+    ('inventory_manager', 'categories:write'),
+    ('inventory_manager', 'orders:read'),
+    ('inventory_manager', 'dashboard:read'),
+    ('content_editor', 'products:read'),
+    ('content_editor', 'products:write'),
+    ('content_editor', 'categories:write')
+) AS p("role_name", "permission") ON p."role_name" = r."name";
+
+-- Existing admins keep full access
+INSERT INTO "user_roles" ("user_id", "role_id")
+SELECT u."id", r."id"
+FROM "users" u
+JOIN "roles" r ON r."name" = 'admin'
+WHERE u."role"::text = 'admin';
+
+-- AlterTable
+ALTER TABLE "users" DROP COLUMN "role";
+
+-- DropEnum
+DROP TYPE IF EXISTS "UserRole";
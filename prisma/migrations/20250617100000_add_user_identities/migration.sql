@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "users" ALTER COLUMN "password_hash" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "user_identities" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "subject" VARCHAR(255) NOT NULL,
+    "email" VARCHAR(255),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "last_login_at" TIMESTAMP(6),
+
+    CONSTRAINT "user_identities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "oauth_states" (
+    "id" SERIAL NOT NULL,
+    "state" VARCHAR(64) NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "code_verifier" VARCHAR(128) NOT NULL,
+    "nonce" VARCHAR(64) NOT NULL,
+    "user_id" INTEGER,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "oauth_states_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_identities_provider_subject_key" ON "user_identities"("provider", "subject");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "user_identities_user_id_provider_key" ON "user_identities"("user_id", "provider");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_states_state_key" ON "oauth_states"("state");
+
+-- AddForeignKey
+ALTER TABLE "user_identities" ADD CONSTRAINT "user_identities_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "oauth_states" ADD CONSTRAINT "oauth_states_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,8 @@
+-- Let support staff view the store as a customer
+INSERT INTO "role_permissions" ("role_id", "permission")
+SELECT "id", 'users:impersonate' FROM "roles" WHERE "name" = 'support'
+ON CONFLICT ("role_id", "permission") DO NOTHING;
+
+UPDATE "roles"
+SET "description" = 'Customer support: view customers and orders, update order status, unlock accounts, view the store as a customer'
+WHERE "name" = 'support';
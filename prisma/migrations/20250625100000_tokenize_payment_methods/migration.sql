@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "payment_methods" ADD COLUMN "brand" VARCHAR(20),
+ADD COLUMN "last4" VARCHAR(4),
+ADD COLUMN "token" VARCHAR(255),
+ADD COLUMN "provider" VARCHAR(50),
+ADD COLUMN "created_at" TIMESTAMP(6) DEFAULT CURRENT_TIMESTAMP;
+
+-- Keep only what is needed to display existing cards; they have no vault token
+-- and must be re-added before they can be charged
+UPDATE "payment_methods"
+SET "last4" = RIGHT(regexp_replace("card_number", '\D', '', 'g'), 4),
+    "brand" = CASE
+        WHEN "card_number" ~ '^4' THEN 'visa'
+        WHEN "card_number" ~ '^(5[1-5]|2[2-7])' THEN 'mastercard'
+        WHEN "card_number" ~ '^3[47]' THEN 'amex'
+        WHEN "card_number" ~ '^(6011|65|64[4-9])' THEN 'discover'
+        ELSE 'unknown'
+    END,
+    "provider" = 'legacy';
+
+ALTER TABLE "payment_methods" ALTER COLUMN "brand" SET NOT NULL,
+ALTER COLUMN "last4" SET NOT NULL;
+
+-- Drop the plaintext card numbers
+ALTER TABLE "payment_methods" DROP COLUMN "card_number";
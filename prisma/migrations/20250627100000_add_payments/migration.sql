@@ -0,0 +1,73 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "paid_at" TIMESTAMP(6);
+
+-- CreateTable
+CREATE TABLE "payments" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "payment_method_id" INTEGER,
+    "provider" VARCHAR(50) NOT NULL,
+    "provider_payment_id" VARCHAR(255),
+    "amount" DECIMAL(10,2) NOT NULL,
+    "amount_refunded" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "currency" VARCHAR(3) NOT NULL DEFAULT 'usd',
+    "status" VARCHAR(30) NOT NULL,
+    "failure_message" VARCHAR(255),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "payments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "refunds" (
+    "id" SERIAL NOT NULL,
+    "payment_id" INTEGER NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+    "reason" VARCHAR(255),
+    "provider_refund_id" VARCHAR(255),
+    "created_by" INTEGER,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "refunds_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "payment_events" (
+    "id" SERIAL NOT NULL,
+    "provider" VARCHAR(50) NOT NULL,
+    "event_id" VARCHAR(255) NOT NULL,
+    "type" VARCHAR(100) NOT NULL,
+    "payload" JSONB NOT NULL,
+    "received_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processed_at" TIMESTAMP(6),
+
+    CONSTRAINT "payment_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payments_provider_payment_id_key" ON "payments"("provider_payment_id");
+
+-- CreateIndex
+CREATE INDEX "payments_order_id_idx" ON "payments"("order_id");
+
+-- CreateIndex
+CREATE INDEX "refunds_payment_id_idx" ON "refunds"("payment_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "payment_events_provider_event_id_key" ON "payment_events"("provider", "event_id");
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "payments" ADD CONSTRAINT "payments_payment_method_id_fkey" FOREIGN KEY ("payment_method_id") REFERENCES "payment_methods"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_payment_id_fkey" FOREIGN KEY ("payment_id") REFERENCES "payments"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "refunds" ADD CONSTRAINT "refunds_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- Orders placed so far were recorded as paid on creation
+UPDATE "orders" SET "paid_at" = "created_at" WHERE "is_paid" = true;
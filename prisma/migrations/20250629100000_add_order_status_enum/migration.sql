@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "OrderStatus" AS ENUM ('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded');
+
+-- Normalize free-text statuses before converting the column
+UPDATE "orders"
+SET "status" = CASE
+    WHEN lower("status") IN ('pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded') THEN lower("status")
+    WHEN lower("status") IN ('completed', 'complete') THEN 'delivered'
+    WHEN lower("status") = 'canceled' THEN 'cancelled'
+    WHEN "is_paid" = true THEN 'processing'
+    ELSE 'pending'
+END;
+
+-- AlterTable
+ALTER TABLE "orders" ALTER COLUMN "status" DROP DEFAULT,
+ALTER COLUMN "status" TYPE "OrderStatus" USING ("status"::"OrderStatus"),
+ALTER COLUMN "status" SET DEFAULT 'pending',
+ALTER COLUMN "status" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "order_status_history" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "from_status" "OrderStatus",
+    "to_status" "OrderStatus" NOT NULL,
+    "changed_by" INTEGER,
+    "note" VARCHAR(255),
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "order_status_history_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_status_history_order_id_idx" ON "order_status_history"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "order_status_history" ADD CONSTRAINT "order_status_history_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "order_status_history" ADD CONSTRAINT "order_status_history_changed_by_fkey" FOREIGN KEY ("changed_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- Start each existing order's history at its current status
+INSERT INTO "order_status_history" ("order_id", "to_status", "note", "created_at")
+SELECT "id", "status", 'Recorded before status history', COALESCE("created_at", CURRENT_TIMESTAMP)
+FROM "orders";
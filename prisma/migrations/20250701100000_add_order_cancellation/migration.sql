@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "cancelled_at" TIMESTAMP(6),
+ADD COLUMN "cancellation_reason" VARCHAR(255),
+ADD COLUMN "refund_status" VARCHAR(20);
+
+-- Let support staff cancel orders
+INSERT INTO "role_permissions" ("role_id", "permission")
+SELECT "id", 'orders:cancel' FROM "roles" WHERE "name" = 'support'
+ON CONFLICT ("role_id", "permission") DO NOTHING;
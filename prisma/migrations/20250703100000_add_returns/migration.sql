@@ -0,0 +1,79 @@
+-- CreateEnum
+CREATE TYPE "ReturnStatus" AS ENUM ('requested', 'approved', 'rejected', 'received', 'refunded', 'exchanged');
+
+-- CreateTable
+CREATE TABLE "returns" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "user_id" INTEGER,
+    "type" VARCHAR(20) NOT NULL,
+    "status" "ReturnStatus" NOT NULL DEFAULT 'requested',
+    "customer_note" TEXT,
+    "staff_note" TEXT,
+    "refund_amount" DECIMAL(10,2),
+    "replacement_order_id" INTEGER,
+    "handled_by" INTEGER,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "approved_at" TIMESTAMP(6),
+    "received_at" TIMESTAMP(6),
+    "resolved_at" TIMESTAMP(6),
+
+    CONSTRAINT "returns_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "return_items" (
+    "id" SERIAL NOT NULL,
+    "return_id" INTEGER NOT NULL,
+    "order_item_id" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "reason" VARCHAR(30) NOT NULL,
+    "exchange_variant_id" INTEGER,
+    "restocked_qty" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "return_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "returns_replacement_order_id_key" ON "returns"("replacement_order_id");
+
+-- CreateIndex
+CREATE INDEX "returns_order_id_idx" ON "returns"("order_id");
+
+-- CreateIndex
+CREATE INDEX "returns_user_id_idx" ON "returns"("user_id");
+
+-- CreateIndex
+CREATE INDEX "returns_status_idx" ON "returns"("status");
+
+-- CreateIndex
+CREATE INDEX "return_items_return_id_idx" ON "return_items"("return_id");
+
+-- CreateIndex
+CREATE INDEX "return_items_order_item_id_idx" ON "return_items"("order_item_id");
+
+-- AddForeignKey
+ALTER TABLE "returns" ADD CONSTRAINT "returns_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "returns" ADD CONSTRAINT "returns_replacement_order_id_fkey" FOREIGN KEY ("replacement_order_id") REFERENCES "orders"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "returns" ADD CONSTRAINT "returns_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "returns" ADD CONSTRAINT "returns_handled_by_fkey" FOREIGN KEY ("handled_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_return_id_fkey" FOREIGN KEY ("return_id") REFERENCES "returns"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_order_item_id_fkey" FOREIGN KEY ("order_item_id") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "return_items" ADD CONSTRAINT "return_items_exchange_variant_id_fkey" FOREIGN KEY ("exchange_variant_id") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- Let support staff handle returns
+INSERT INTO "role_permissions" ("role_id", "permission")
+SELECT "id", 'returns:manage' FROM "roles" WHERE "name" = 'support'
+ON CONFLICT ("role_id", "permission") DO NOTHING;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "shipping_name" VARCHAR(100),
+ADD COLUMN "shipping_phone" VARCHAR(30),
+ADD COLUMN "contact_email" VARCHAR(255),
+ADD COLUMN "shipping_street" VARCHAR(255),
+ADD COLUMN "shipping_city" VARCHAR(100),
+ADD COLUMN "shipping_state" VARCHAR(100),
+ADD COLUMN "shipping_country" VARCHAR(100),
+ADD COLUMN "shipping_postal_code" VARCHAR(20);
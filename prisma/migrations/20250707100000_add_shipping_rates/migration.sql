@@ -0,0 +1,46 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "shipping_method" VARCHAR(30),
+ADD COLUMN "shipping_cost" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN "weight_grams" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "shipping_zones" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "countries" TEXT[],
+    "states" TEXT[],
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipping_zones_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipping_rates" (
+    "id" SERIAL NOT NULL,
+    "zone_id" INTEGER NOT NULL,
+    "method" VARCHAR(30) NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "basis" VARCHAR(20) NOT NULL DEFAULT 'flat',
+    "min_value" DECIMAL(10,2) NOT NULL DEFAULT 0,
+    "max_value" DECIMAL(10,2),
+    "price" DECIMAL(10,2) NOT NULL,
+    "free_over" DECIMAL(10,2),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipping_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipping_rates_zone_id_idx" ON "shipping_rates"("zone_id");
+
+-- AddForeignKey
+ALTER TABLE "shipping_rates" ADD CONSTRAINT "shipping_rates_zone_id_fkey" FOREIGN KEY ("zone_id") REFERENCES "shipping_zones"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- Keep checkout working with free standard shipping everywhere until real rates are configured
+INSERT INTO "shipping_zones" ("name", "countries", "states") VALUES ('Everywhere', '{}', '{}');
+INSERT INTO "shipping_rates" ("zone_id", "method", "name", "price")
+SELECT "id", 'standard', 'Standard shipping', 0 FROM "shipping_zones" WHERE "name" = 'Everywhere';
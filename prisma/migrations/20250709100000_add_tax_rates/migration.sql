@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN "tax_class" VARCHAR(30) NOT NULL DEFAULT 'standard';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "tax_inclusive" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "tax_rates" (
+    "id" SERIAL NOT NULL,
+    "name" VARCHAR(100) NOT NULL,
+    "country" VARCHAR(100) NOT NULL,
+    "state" VARCHAR(100),
+    "tax_class" VARCHAR(30) NOT NULL DEFAULT 'standard',
+    "rate" DECIMAL(6,4) NOT NULL,
+    "applies_to_shipping" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "tax_rates_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "order_tax_lines" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "tax_rate_id" INTEGER,
+    "name" VARCHAR(100) NOT NULL,
+    "rate" DECIMAL(6,4) NOT NULL,
+    "taxable_amount" DECIMAL(10,2) NOT NULL,
+    "amount" DECIMAL(10,2) NOT NULL,
+
+    CONSTRAINT "order_tax_lines_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "order_tax_lines_order_id_idx" ON "order_tax_lines"("order_id");
+
+-- AddForeignKey
+ALTER TABLE "order_tax_lines" ADD CONSTRAINT "order_tax_lines_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "order_tax_lines" ADD CONSTRAINT "order_tax_lines_tax_rate_id_fkey" FOREIGN KEY ("tax_rate_id") REFERENCES "tax_rates"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "shipments" (
+    "id" SERIAL NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "carrier" VARCHAR(50) NOT NULL,
+    "tracking_number" VARCHAR(100),
+    "tracking_url" VARCHAR(500),
+    "shipped_at" TIMESTAMP(6),
+    "delivered_at" TIMESTAMP(6),
+    "created_by" INTEGER,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "shipments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "shipment_items" (
+    "id" SERIAL NOT NULL,
+    "shipment_id" INTEGER NOT NULL,
+    "order_item_id" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+
+    CONSTRAINT "shipment_items_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "shipments_order_id_idx" ON "shipments"("order_id");
+
+-- CreateIndex
+CREATE INDEX "shipment_items_order_item_id_idx" ON "shipment_items"("order_item_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "shipment_items_shipment_id_order_item_id_key" ON "shipment_items"("shipment_id", "order_item_id");
+
+-- AddForeignKey
+ALTER TABLE "shipments" ADD CONSTRAINT "shipments_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "shipments" ADD CONSTRAINT "shipments_created_by_fkey" FOREIGN KEY ("created_by") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "shipment_items" ADD CONSTRAINT "shipment_items_shipment_id_fkey" FOREIGN KEY ("shipment_id") REFERENCES "shipments"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "shipment_items" ADD CONSTRAINT "shipment_items_order_item_id_fkey" FOREIGN KEY ("order_item_id") REFERENCES "order_items"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- Let support staff record shipments
+INSERT INTO "role_permissions" ("role_id", "permission")
+SELECT "id", 'shipments:manage' FROM "roles" WHERE "name" = 'support'
+ON CONFLICT ("role_id", "permission") DO NOTHING;
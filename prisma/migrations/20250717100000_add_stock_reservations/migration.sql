@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "stock_taken_at" TIMESTAMP(6);
+
+-- Orders placed so far took their stock when they were created
+UPDATE "orders" SET "stock_taken_at" = COALESCE("created_at", CURRENT_TIMESTAMP);
+
+-- CreateTable
+CREATE TABLE "stock_reservations" (
+    "id" SERIAL NOT NULL,
+    "user_id" INTEGER NOT NULL,
+    "variant_id" INTEGER NOT NULL,
+    "order_id" INTEGER,
+    "quantity" INTEGER NOT NULL,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expires_at" TIMESTAMP(6) NOT NULL,
+
+    CONSTRAINT "stock_reservations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_variant_id_expires_at_idx" ON "stock_reservations"("variant_id", "expires_at");
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_user_id_idx" ON "stock_reservations"("user_id");
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_order_id_idx" ON "stock_reservations"("order_id");
+
+-- CreateIndex
+CREATE INDEX "stock_reservations_expires_at_idx" ON "stock_reservations"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "stock_reservations" ADD CONSTRAINT "stock_reservations_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_reservations" ADD CONSTRAINT "stock_reservations_variant_id_fkey" FOREIGN KEY ("variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "stock_reservations" ADD CONSTRAINT "stock_reservations_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
@@ -0,0 +1,80 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "coupons" (
+    "id" SERIAL NOT NULL,
+    "code" VARCHAR(50) NOT NULL,
+    "description" VARCHAR(255),
+    "type" VARCHAR(20) NOT NULL,
+    "value" DECIMAL(10,4) NOT NULL DEFAULT 0,
+    "min_subtotal" DECIMAL(10,2),
+    "product_ids" INTEGER[],
+    "category_ids" INTEGER[],
+    "starts_at" TIMESTAMP(6),
+    "ends_at" TIMESTAMP(6),
+    "usage_limit" INTEGER,
+    "per_user_limit" INTEGER,
+    "first_order_only" BOOLEAN NOT NULL DEFAULT false,
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updated_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupons_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "coupon_redemptions" (
+    "id" SERIAL NOT NULL,
+    "coupon_id" INTEGER NOT NULL,
+    "order_id" INTEGER NOT NULL,
+    "user_id" INTEGER,
+    "code" VARCHAR(50) NOT NULL,
+    "discount_amount" DECIMAL(10,2) NOT NULL,
+    "free_shipping" BOOLEAN NOT NULL DEFAULT false,
+    "created_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "coupon_redemptions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "cart_coupons" (
+    "user_id" INTEGER NOT NULL,
+    "coupon_id" INTEGER NOT NULL,
+    "applied_at" TIMESTAMP(6) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "cart_coupons_pkey" PRIMARY KEY ("user_id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupons_code_key" ON "coupons"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "coupon_redemptions_order_id_key" ON "coupon_redemptions"("order_id");
+
+-- CreateIndex
+CREATE INDEX "coupon_redemptions_coupon_id_idx" ON "coupon_redemptions"("coupon_id");
+
+-- CreateIndex
+CREATE INDEX "coupon_redemptions_user_id_idx" ON "coupon_redemptions"("user_id");
+
+-- CreateIndex
+CREATE INDEX "cart_coupons_coupon_id_idx" ON "cart_coupons"("coupon_id");
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "coupons"("id") ON DELETE RESTRICT ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_order_id_fkey" FOREIGN KEY ("order_id") REFERENCES "orders"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "coupon_redemptions" ADD CONSTRAINT "coupon_redemptions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cart_coupons" ADD CONSTRAINT "cart_coupons_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
+
+-- AddForeignKey
+ALTER TABLE "cart_coupons" ADD CONSTRAINT "cart_coupons_coupon_id_fkey" FOREIGN KEY ("coupon_id") REFERENCES "coupons"("id") ON DELETE CASCADE ON UPDATE NO ACTION;
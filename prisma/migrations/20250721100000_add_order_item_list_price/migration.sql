@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN "list_price" DECIMAL(10,2);
+
+-- Category discounts were never applied before, so earlier orders paid the list price
+UPDATE "order_items" SET "list_price" = "unit_price";
@@ -4,6 +4,7 @@ const prisma = new PrismaClient();
 async function cleanDatabase() {
   // Delete all records in reverse order of dependencies
   await prisma.order_items.deleteMany({});
+  await prisma.invoices.deleteMany({});
   await prisma.orders.deleteMany({});
   await prisma.reviews.deleteMany({});
   await prisma.wishlists.deleteMany({});
@@ -11,6 +12,9 @@ async function cleanDatabase() {
   await prisma.products.deleteMany({});
   await prisma.categories.deleteMany({});
   await prisma.activity_logs.deleteMany({});
+  await prisma.shipping_zones.deleteMany({});
+  await prisma.tax_rates.deleteMany({});
+  await prisma.coupons.deleteMany({});
   
   console.log('Database cleaned successfully');
 }
@@ -235,7 +239,8 @@ async function main() {
       total_amount: 64.98,
       payment_method: 'CREDIT_CARD',
       is_paid: true,
-      status: 'completed',
+      status: 'delivered',
+      stock_taken_at: new Date(),
       order_items: {
         create: [
           {
@@ -259,6 +264,64 @@ async function main() {
     }
   });
 
+  // Shipping: flat domestic rates with free standard shipping over $50, weight-based elsewhere
+  await prisma.shipping_zones.create({
+    data: {
+      name: 'United States',
+      countries: ['US', 'USA', 'United States'],
+      shipping_rates: {
+        create: [
+          { method: 'standard', name: 'Standard (3-5 days)', price: 4.99, free_over: 50 },
+          { method: 'express', name: 'Express (1-2 days)', price: 14.99 },
+          { method: 'pickup', name: 'Store pickup', price: 0 }
+        ]
+      }
+    }
+  });
+  await prisma.shipping_zones.create({
+    data: {
+      name: 'Rest of world',
+      countries: [],
+      shipping_rates: {
+        create: [
+          { method: 'standard', name: 'International standard', basis: 'weight', min_value: 0, max_value: 1000, price: 12.99 },
+          { method: 'standard', name: 'International standard', basis: 'weight', min_value: 1000, price: 24.99 }
+        ]
+      }
+    }
+  });
+
+  // Tax: a state sales tax that also applies to shipping
+  await prisma.tax_rates.create({
+    data: {
+      name: 'California sales tax',
+      country: 'US',
+      state: 'CA',
+      rate: 0.0725,
+      applies_to_shipping: true
+    }
+  });
+
+  // Coupons: a welcome discount for new customers and free shipping on larger orders
+  await prisma.coupons.createMany({
+    data: [
+      {
+        code: 'WELCOME10',
+        description: '10% off your first order',
+        type: 'percentage',
+        value: 0.1,
+        first_order_only: true,
+        per_user_limit: 1
+      },
+      {
+        code: 'FREESHIP',
+        description: 'Free shipping on orders over $30',
+        type: 'free_shipping',
+        min_subtotal: 30
+      }
+    ]
+  });
+
   console.log('Seed data created successfully!');
 }
 
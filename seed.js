@@ -223,8 +223,11 @@ async function main() {
     update: {},
     create: {
       user_id: user.id,
-      card_number: '4111111111111111',
-      expiry_date: '12/25',
+      brand: 'visa',
+      last4: '1111',
+      token: 'tok_fake_seed',
+      provider: 'fake',
+      expiry_date: '12/30',
       card_holder_name: 'Test User',
       is_default: true
     }
@@ -0,0 +1,69 @@
+import express from 'express';
+import cors from 'cors';
+import dotenv from 'dotenv';
+import { errorHandler, notFound } from './middleware/error.js';
+import { rejectApiKey } from './middleware/auth.js';
+
+// Import routes
+import authRoutes from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import oidcRoutes from './routes/oidc.js';
+import productRoutes from './routes/products.js';
+import orderRoutes from './routes/orders.js';
+import cartRoutes from './routes/cart.js';
+import wishlistRoutes from './routes/wishlist.js';
+import profileRoutes from './routes/profile.js';
+import adminRoutes from './routes/admin.js';
+import placeholderRoutes from './routes/placeholder.js';
+import categoriesRoutes from './routes/categories.js';
+import paymentRoutes from './routes/payments.js';
+import returnRoutes from './routes/returns.js';
+import shippingRoutes from './routes/shipping.js';
+
+// Load environment variables
+dotenv.config();
+
+// Create Express app
+const app = express();
+
+// Middleware
+app.use(cors({
+  origin: process.env.CLIENT_URL || '*',
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  credentials: true
+}));
+// Webhook signatures are computed over the exact bytes received
+app.use('/api/payments/webhook', express.raw({ type: '*/*' }));
+app.use(express.json({ limit: '50mb' }));
+app.use(express.urlencoded({ limit: '50mb', extended: true }));
+
+// Routes
+app.use([
+  '/api/auth',
+  '/api/profile',
+  '/api/orders',
+  '/api/cart',
+  '/api/wishlist',
+  '/api/returns',
+  '/api/shipping'
+], rejectApiKey);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/oidc', oidcRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/wishlist', wishlistRoutes);
+app.use('/api/profile', profileRoutes);
+app.use('/api/admin', adminRoutes); //optional
+app.use('/api/placeholder', placeholderRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/shipping', shippingRoutes);
+
+// Error handling
+app.use(notFound);
+app.use(errorHandler);
+
+export default app;
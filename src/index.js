@@ -1,51 +1,9 @@
-import express from 'express';
-import cors from 'cors';
-import dotenv from 'dotenv';
-import { errorHandler, notFound } from './middleware/error.js';
-
-// Import routes
-import authRoutes from './routes/auth.js';
-import productRoutes from './routes/products.js';
-import orderRoutes from './routes/orders.js';
-import cartRoutes from './routes/cart.js';
-import wishlistRoutes from './routes/wishlist.js';
-import profileRoutes from './routes/profile.js';
-import adminRoutes from './routes/admin.js';
-import placeholderRoutes from './routes/placeholder.js';
-import categoriesRoutes from './routes/categories.js';
-
-// Load environment variables
-dotenv.config();
-
-// Create Express app
-const app = express();
-
-// Middleware
-app.use(cors({
-  origin: process.env.CLIENT_URL || '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  credentials: true
-}));
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ limit: '50mb', extended: true }));
-
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/orders', orderRoutes);
-app.use('/api/cart', cartRoutes);
-app.use('/api/wishlist', wishlistRoutes);
-app.use('/api/profile', profileRoutes);
-app.use('/api/admin', adminRoutes); //optional
-app.use('/api/placeholder', placeholderRoutes);
-app.use('/api/categories', categoriesRoutes);
-
-// Error handling
-app.use(notFound);
-app.use(errorHandler);
+import app from './app.js';
+import { startSweeper } from './lib/sweeper.js';
 
 // Start server
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  startSweeper();
 }); 
\ No newline at end of file
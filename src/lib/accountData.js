@@ -0,0 +1,187 @@
+import archiver from 'archiver';
+import prisma from './prisma.js';
+import { deleteCardToken } from './paymentVault.js';
+
+// Everything stored about a user, grouped by section
+export const buildAccountExport = async (userId) => {
+  const user = await prisma.users.findUnique({
+    where: { id: userId },
+    include: {
+      addresses: true,
+      payment_methods: {
+        select: {
+          id: true,
+          brand: true,
+          last4: true,
+          expiry_date: true,
+          card_holder_name: true,
+          is_default: true,
+          created_at: true
+        }
+      },
+      orders: {
+        orderBy: { created_at: 'desc' },
+        include: { order_items: true }
+      },
+      returns: {
+        orderBy: { created_at: 'desc' },
+        include: { return_items: true }
+      },
+      reviews: {
+        include: {
+          products: { select: { name: true } }
+        }
+      },
+      wishlists: {
+        include: {
+          product_variants: {
+            include: { products: { select: { name: true } } }
+          }
+        }
+      },
+      cart_items: {
+        include: {
+          product_variants: {
+            include: { products: { select: { name: true } } }
+          }
+        }
+      },
+      activity_logs: {
+        orderBy: { created_at: 'desc' }
+      },
+      user_identities: {
+        select: { provider: true, email: true, created_at: true, last_login_at: true }
+      }
+    }
+  });
+
+  if (!user) {
+    return null;
+  }
+
+  const describeVariant = (item) => ({
+    variant_id: item.variant_id,
+    product_name: item.product_variants?.products?.name || null,
+    size: item.product_variants?.size || null,
+    color: item.product_variants?.color || null
+  });
+
+  return {
+    exported_at: new Date(),
+    profile: {
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      created_at: user.created_at,
+      email_verified_at: user.email_verified_at,
+      two_factor_enabled: !!user.totp_enabled_at,
+      linked_accounts: user.user_identities
+    },
+    addresses: user.addresses,
+    payment_methods: user.payment_methods,
+    orders: user.orders,
+    returns: user.returns,
+    reviews: user.reviews.map(({ products, ...review }) => ({
+      ...review,
+      product_name: products?.name || null
+    })),
+    wishlist: user.wishlists.map(item => ({
+      ...describeVariant(item),
+      added_at: item.added_at
+    })),
+    cart: user.cart_items.map(item => ({
+      ...describeVariant(item),
+      quantity: item.quantity,
+      added_at: item.added_at
+    })),
+    activity_logs: user.activity_logs
+  };
+};
+
+// Stream the export as a ZIP with one JSON file per section
+export const writeAccountExportZip = async (data, output) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const done = new Promise((resolve, reject) => {
+    archive.on('error', reject);
+    output.on('close', resolve);
+    output.on('finish', resolve);
+  });
+
+  archive.pipe(output);
+  for (const [section, content] of Object.entries(data)) {
+    archive.append(JSON.stringify(content, null, 2), { name: `${section}.json` });
+  }
+  await archive.finalize();
+
+  return done;
+};
+
+// Erase personal data but keep the user row, so orders stay attached for accounting
+export const anonymizeUser = async (userId) => {
+  const deletedAt = new Date();
+  const paymentMethods = await prisma.payment_methods.findMany({
+    where: { user_id: userId }
+  });
+
+  const user = await prisma.$transaction(async (tx) => {
+    // These would cascade on a hard delete; the row survives, so remove them explicitly
+    await tx.addresses.deleteMany({ where: { user_id: userId } });
+    await tx.payment_methods.deleteMany({ where: { user_id: userId } });
+    await tx.cart_items.deleteMany({ where: { user_id: userId } });
+    await tx.cart_coupons.deleteMany({ where: { user_id: userId } });
+    await tx.wishlists.deleteMany({ where: { user_id: userId } });
+    await tx.reviews.deleteMany({ where: { user_id: userId } });
+    await tx.activity_logs.deleteMany({ where: { user_id: userId } });
+    await tx.sessions.deleteMany({ where: { user_id: userId } });
+    await tx.password_reset_tokens.deleteMany({ where: { user_id: userId } });
+    await tx.email_verification_tokens.deleteMany({ where: { user_id: userId } });
+    await tx.recovery_codes.deleteMany({ where: { user_id: userId } });
+    await tx.user_identities.deleteMany({ where: { user_id: userId } });
+    await tx.oauth_states.deleteMany({ where: { user_id: userId } });
+    await tx.idempotency_keys.deleteMany({ where: { user_id: userId } });
+    await tx.stock_reservations.deleteMany({ where: { user_id: userId } });
+
+    // Orders keep the region they shipped to for accounting, but not who received them
+    await tx.orders.updateMany({
+      where: { user_id: userId },
+      data: {
+        shipping_name: null,
+        shipping_phone: null,
+        contact_email: null,
+        shipping_street: null
+      }
+    });
+
+    const anonymized = await tx.users.update({
+      where: { id: userId },
+      data: {
+        email: `deleted-user-${userId}@deleted.invalid`,
+        name: null,
+        password_hash: null,
+        email_verified_at: null,
+        failed_login_attempts: 0,
+        locked_until: null,
+        totp_secret: null,
+        totp_enabled_at: null,
+        totp_last_step: null,
+        deleted_at: deletedAt
+      }
+    });
+
+    // Only the fact of the deletion remains in the activity log
+    await tx.activity_logs.create({
+      data: {
+        user_id: userId,
+        action: 'DELETE_ACCOUNT',
+        description: 'Account deleted and personal data erased'
+      }
+    });
+
+    return anonymized;
+  });
+
+  // Vault tokens are released once the rows are gone
+  await Promise.all(paymentMethods.map(deleteCardToken));
+
+  return user;
+};
@@ -0,0 +1,77 @@
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { getUserAccess, hasPermission } from './permissions.js';
+
+const KEY_PREFIX = 'sk_';
+
+// Create a key and return it in plain text; only its hash is stored
+export const createApiKey = async ({ name, scopes, expiresAt = null, createdBy }) => {
+  const key = `${KEY_PREFIX}${generateToken(32)}`;
+
+  const apiKey = await prisma.api_keys.create({
+    data: {
+      name,
+      // Enough of the key to recognise it in listings
+      key_prefix: key.slice(0, 11),
+      key_hash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      expires_at: expiresAt,
+      created_by: createdBy
+    }
+  });
+
+  return { apiKey, key };
+};
+
+export const isApiKeyActive = (apiKey) => {
+  return !apiKey.revoked_at && (!apiKey.expires_at || apiKey.expires_at > new Date());
+};
+
+// Resolve a presented key to its record and owner, or null if unknown, expired or revoked
+export const findActiveApiKey = async (key) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  const apiKey = await prisma.api_keys.findUnique({
+    where: { key_hash: hashToken(key) },
+    include: { users: true }
+  });
+
+  return apiKey && isApiKeyActive(apiKey) ? apiKey : null;
+};
+
+// A key can never do more than its creator currently can
+export const getApiKeyAccess = async (apiKey) => {
+  const { permissions } = await getUserAccess(apiKey.created_by);
+
+  return {
+    roles: [],
+    permissions: apiKey.scopes.filter(scope => hasPermission(permissions, scope))
+  };
+};
+
+export const recordApiKeyUse = async (apiKey, req) => {
+  try {
+    await prisma.$transaction([
+      prisma.api_keys.update({
+        where: { id: apiKey.id },
+        data: { last_used_at: new Date() }
+      }),
+      prisma.activity_logs.create({
+        data: {
+          user_id: apiKey.created_by,
+          action: 'API_KEY_USED',
+          description: `API key "${apiKey.name}" (#${apiKey.id}) used for ${req.method} ${req.originalUrl}`
+        }
+      })
+    ]);
+  } catch (error) {
+    // Usage tracking must not fail the request itself
+    logger.error('Error recording API key usage:', {
+      error: error.message,
+      apiKeyId: apiKey.id
+    });
+  }
+};
@@ -0,0 +1,280 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import { ValidationError } from '../middleware/error.js';
+import { toCents, fromCents } from '../utils/money.js';
+import { lineCents } from './pricing.js';
+
+export const COUPON_TYPES = ['percentage', 'fixed', 'free_shipping'];
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,50}$/;
+
+// Codes are matched case-insensitively and stored in upper case
+export const normalizeCouponCode = (code) => String(code ?? '').trim().toUpperCase();
+
+export const findCouponByCode = (code, client = prisma) => {
+  return client.coupons.findUnique({ where: { code: normalizeCouponCode(code) } });
+};
+
+// Redemptions on cancelled orders give the coupon back
+const countRedemptions = (client, where) => {
+  return client.coupon_redemptions.count({
+    where: { ...where, orders: { status: { not: 'cancelled' } } }
+  });
+};
+
+// Usage limits and first-order-only; these depend on other orders, so placing an order
+// checks them again with the coupon locked
+const checkCouponUsage = async (client, coupon, userId) => {
+  if (coupon.usage_limit !== null
+    && await countRedemptions(client, { coupon_id: coupon.id }) >= coupon.usage_limit) {
+    throw new ValidationError('This coupon has been fully redeemed');
+  }
+  if (coupon.per_user_limit !== null
+    && await countRedemptions(client, { coupon_id: coupon.id, user_id: userId }) >= coupon.per_user_limit) {
+    throw new ValidationError('You have already used this coupon the maximum number of times');
+  }
+  if (coupon.first_order_only) {
+    const previousOrders = await client.orders.count({
+      where: { user_id: userId, status: { not: 'cancelled' } }
+    });
+    if (previousOrders > 0) {
+      throw new ValidationError('This coupon is only valid on your first order');
+    }
+  }
+};
+
+// Split a discount over lines in proportion to their amounts; the last line with an amount
+// takes the rounding
+const spreadDiscount = (amounts, discountCents) => {
+  const totalCents = amounts.reduce((sum, cents) => sum + cents, 0);
+  const lastIndex = amounts.findLastIndex(cents => cents > 0);
+  let leftCents = discountCents;
+  return amounts.map((cents, index) => {
+    if (index === lastIndex) {
+      return leftCents;
+    }
+    const share = totalCents > 0 ? Math.round(discountCents * cents / totalCents) : 0;
+    leftCents -= share;
+    return share;
+  });
+};
+
+// Check a coupon for a user buying { variant, quantity } items, variants including their
+// product. Returns the discount of each item (in cents, same order as items) and whether
+// shipping is free; throws a ValidationError explaining why the coupon does not apply.
+export const evaluateCoupon = async (coupon, userId, items, client = prisma) => {
+  const now = new Date();
+  if (!coupon || !coupon.is_active) {
+    throw new ValidationError('This coupon code is not valid');
+  }
+  if (coupon.starts_at && coupon.starts_at > now) {
+    throw new ValidationError('This coupon is not valid yet');
+  }
+  if (coupon.ends_at && coupon.ends_at <= now) {
+    throw new ValidationError('This coupon has expired');
+  }
+
+  const amounts = items.map(({ variant, quantity }) => lineCents(variant, quantity));
+  const subtotalCents = amounts.reduce((sum, cents) => sum + cents, 0);
+  if (coupon.min_subtotal !== null && subtotalCents < toCents(coupon.min_subtotal)) {
+    throw new ValidationError(`This coupon requires a subtotal of at least ${fromCents(toCents(coupon.min_subtotal))}`);
+  }
+
+  // Without a product or category scope the coupon applies to everything
+  const scoped = coupon.product_ids.length > 0 || coupon.category_ids.length > 0;
+  const inScope = items.map(({ variant }) => !scoped
+    || coupon.product_ids.includes(variant.product_id)
+    || coupon.category_ids.includes(variant.products?.category_id));
+  if (!inScope.includes(true)) {
+    throw new ValidationError('This coupon does not apply to any of these items');
+  }
+
+  await checkCouponUsage(client, coupon, userId);
+
+  const eligibleAmounts = amounts.map((cents, index) => (inScope[index] ? cents : 0));
+  const eligibleCents = eligibleAmounts.reduce((sum, cents) => sum + cents, 0);
+
+  let discountCents = 0;
+  if (coupon.type === 'percentage') {
+    discountCents = Math.round(eligibleCents * Number(coupon.value));
+  } else if (coupon.type === 'fixed') {
+    discountCents = Math.min(toCents(coupon.value), eligibleCents);
+  }
+
+  return {
+    coupon,
+    discountCents,
+    itemDiscountCents: spreadDiscount(eligibleAmounts, discountCents),
+    freeShipping: coupon.type === 'free_shipping'
+  };
+};
+
+// Lock the coupon for the rest of the transaction and check its limits again, so two
+// orders cannot both take its last use
+export const claimCoupon = async (tx, coupon, userId) => {
+  await tx.$queryRaw`SELECT id FROM coupons WHERE id = ${coupon.id} FOR UPDATE`;
+  await checkCouponUsage(tx, coupon, userId);
+};
+
+// What a customer sees of an applied coupon
+export const summarizeCoupon = ({ coupon, discountCents, freeShipping }) => ({
+  code: coupon.code,
+  description: coupon.description,
+  type: coupon.type,
+  value: coupon.value,
+  discount: fromCents(discountCents),
+  free_shipping: freeShipping
+});
+
+const toAmount = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ValidationError(`${field} must be a non-negative number`);
+  }
+  return amount;
+};
+
+const toLimit = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError(`${field} must be a positive whole number`);
+  }
+  return limit;
+};
+
+const toDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const toIds = (value, field) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  const ids = (Array.isArray(value) ? value : [value]).map(Number);
+  if (!ids.every(id => Number.isInteger(id) && id > 0)) {
+    throw new ValidationError(`${field} must be a list of ids`);
+  }
+  return [...new Set(ids)];
+};
+
+// Checked data for creating or updating a coupon; pass the stored coupon when updating
+export const parseCouponInput = (body, { existing = null } = {}) => {
+  const partial = Boolean(existing);
+  const data = {};
+
+  if (!partial || body.code !== undefined) {
+    const code = normalizeCouponCode(body.code);
+    if (!CODE_PATTERN.test(code)) {
+      throw new ValidationError('Code must be 3 to 50 letters, digits, dashes or underscores');
+    }
+    data.code = code;
+  }
+  if (!partial || body.description !== undefined) {
+    data.description = body.description ? String(body.description).trim().slice(0, 255) : null;
+  }
+  if (!partial || body.type !== undefined) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      throw new ValidationError(`Type must be one of: ${COUPON_TYPES.join(', ')}`);
+    }
+    data.type = body.type;
+  }
+
+  const type = data.type ?? existing?.type;
+  if (body.value !== undefined || (data.type && data.type !== existing?.type)) {
+    const value = type === 'free_shipping' ? 0 : Number(body.value);
+    if (type === 'percentage' && !(Number.isFinite(value) && value > 0 && value <= 1)) {
+      // Stored as a fraction, like tax rates and category discounts
+      throw new ValidationError('Percentage coupons need a value between 0 and 1, e.g. 0.15 for 15%');
+    }
+    if (type === 'fixed' && !(Number.isFinite(value) && value > 0)) {
+      throw new ValidationError('Fixed coupons need a positive amount');
+    }
+    data.value = value;
+  }
+
+  if (!partial || body.min_subtotal !== undefined) {
+    data.min_subtotal = toAmount(body.min_subtotal, 'Minimum subtotal');
+  }
+  if (!partial || body.product_ids !== undefined) {
+    data.product_ids = toIds(body.product_ids, 'Product ids');
+  }
+  if (!partial || body.category_ids !== undefined) {
+    data.category_ids = toIds(body.category_ids, 'Category ids');
+  }
+  if (!partial || body.starts_at !== undefined) {
+    data.starts_at = toDate(body.starts_at, 'Start date');
+  }
+  if (!partial || body.ends_at !== undefined) {
+    data.ends_at = toDate(body.ends_at, 'End date');
+  }
+  if (!partial || body.usage_limit !== undefined) {
+    data.usage_limit = toLimit(body.usage_limit, 'Usage limit');
+  }
+  if (!partial || body.per_user_limit !== undefined) {
+    data.per_user_limit = toLimit(body.per_user_limit, 'Per-user limit');
+  }
+  if (body.first_order_only !== undefined) {
+    data.first_order_only = body.first_order_only === true;
+  }
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true;
+  }
+
+  const startsAt = data.starts_at === undefined ? existing?.starts_at : data.starts_at;
+  const endsAt = data.ends_at === undefined ? existing?.ends_at : data.ends_at;
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    throw new ValidationError('End date must be after the start date');
+  }
+
+  return data;
+};
+
+// Redemption count, customers and discount given per coupon id, ignoring cancelled orders
+export const getCouponUsage = async (couponIds) => {
+  const usage = new Map(couponIds.map(id => [id, {
+    redemptions: 0,
+    customers: 0,
+    discount_total: fromCents(0),
+    order_total: fromCents(0),
+    last_redeemed_at: null
+  }]));
+  if (couponIds.length === 0) {
+    return usage;
+  }
+
+  const rows = await prisma.$queryRaw`
+    SELECT r.coupon_id,
+           COUNT(*)::int AS redemptions,
+           COUNT(DISTINCT r.user_id)::int AS customers,
+           COALESCE(SUM(r.discount_amount), 0) AS discount_total,
+           COALESCE(SUM(o.total_amount), 0) AS order_total,
+           MAX(r.created_at) AS last_redeemed_at
+    FROM coupon_redemptions r
+    JOIN orders o ON o.id = r.order_id
+    WHERE r.coupon_id IN (${Prisma.join(couponIds)}) AND o.status <> 'cancelled'
+    GROUP BY r.coupon_id`;
+
+  for (const row of rows) {
+    usage.set(row.coupon_id, {
+      redemptions: row.redemptions,
+      customers: row.customers,
+      discount_total: fromCents(toCents(row.discount_total)),
+      order_total: fromCents(toCents(row.order_total)),
+      last_redeemed_at: row.last_redeemed_at
+    });
+  }
+  return usage;
+};
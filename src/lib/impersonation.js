@@ -0,0 +1,39 @@
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+
+const getImpersonationTtlMinutes = () => parseInt(process.env.IMPERSONATION_TTL_MINUTES) || 30;
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The token is bound to the admin's own session, so logging out ends the impersonation too
+export const createImpersonationToken = ({ userId, adminId, sessionId, allowWrite = false }) => {
+  const token = jwt.sign(
+    { userId, impersonatorId: adminId, sessionId, allowWrite },
+    process.env.JWT_SECRET,
+    { expiresIn: `${getImpersonationTtlMinutes()}m` }
+  );
+
+  return {
+    token,
+    expires_at: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+// Read-only unless granted at creation; account settings are never writable
+export const isImpersonatedRequestAllowed = (req, allowWrite) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return true;
+  }
+  return allowWrite && !req.originalUrl.startsWith('/api/auth');
+};
+
+// Written before the request proceeds; if auditing fails the request is refused
+export const recordImpersonatedRequest = (req, { allowed = true } = {}) => {
+  return prisma.activity_logs.create({
+    data: {
+      user_id: req.impersonator.id,
+      action: allowed ? 'IMPERSONATION_REQUEST' : 'IMPERSONATION_BLOCKED',
+      description: `${req.method} ${req.originalUrl} as user #${req.user.id}`
+    }
+  });
+};
@@ -0,0 +1,66 @@
+import prisma from './prisma.js';
+import { ConflictError } from '../middleware/error.js';
+
+// Orders in these states have been paid for at some point and get an invoice
+const INVOICEABLE_STATUSES = ['paid', 'processing', 'shipped', 'delivered', 'refunded'];
+
+const INVOICE_COUNTER = 'invoice';
+
+export const formatInvoiceNumber = (number) => {
+  return `${process.env.INVOICE_NUMBER_PREFIX ?? 'INV-'}${String(number).padStart(6, '0')}`;
+};
+
+// Take the next number from the counter row. The increment locks the row until the
+// transaction ends and is rolled back with it, so numbers are never skipped or reused.
+const nextInvoiceNumber = async (tx) => {
+  const counter = await tx.document_counters.upsert({
+    where: { name: INVOICE_COUNTER },
+    create: { name: INVOICE_COUNTER, value: 1 },
+    update: { value: { increment: 1 } }
+  });
+  return counter.value;
+};
+
+// Issue the order's invoice if it has none yet; pass a transaction client to join one
+export const issueInvoice = async (orderId, client = null) => {
+  const issue = async (tx) => {
+    const existing = await tx.invoices.findUnique({ where: { order_id: orderId } });
+    if (existing) {
+      return existing;
+    }
+
+    return tx.invoices.create({
+      data: {
+        order_id: orderId,
+        number: await nextInvoiceNumber(tx)
+      }
+    });
+  };
+
+  if (client) {
+    return issue(client);
+  }
+
+  try {
+    return await prisma.$transaction(issue);
+  } catch (error) {
+    // Someone else issued it at the same time; their transaction kept the number
+    if (error.code === 'P2002') {
+      return prisma.invoices.findUnique({ where: { order_id: orderId } });
+    }
+    throw error;
+  }
+};
+
+// The invoice of a paid order, issuing it for orders paid before invoices existed;
+// orders cancelled after payment keep the invoice they already had
+export const getOrderInvoice = async (order) => {
+  const existing = await prisma.invoices.findUnique({ where: { order_id: order.id } });
+  if (existing) {
+    return existing;
+  }
+  if (!INVOICEABLE_STATUSES.includes(order.status)) {
+    throw new ConflictError('An invoice is only available once the order has been paid');
+  }
+  return issueInvoice(order.id);
+};
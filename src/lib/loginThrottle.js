@@ -0,0 +1,153 @@
+import prisma from './prisma.js';
+import logger from './logger.js';
+
+const getMaxAttempts = () => parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const getLockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const getIpMaxAttempts = () => parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const getWindowMs = () => (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const getDelayBaseMs = () => parseInt(process.env.LOGIN_DELAY_BASE_MS) || 250;
+const getDelayMaxMs = () => parseInt(process.env.LOGIN_DELAY_MAX_MS) || 5000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const isLocked = (user) => !!user?.locked_until && user.locked_until > new Date();
+
+// Too many failures from one address locks that address out regardless of account
+export const checkIpThrottle = async (ip) => {
+  if (!ip) {
+    return { blocked: false };
+  }
+
+  const windowStart = new Date(Date.now() - getWindowMs());
+  const failures = await prisma.login_attempts.count({
+    where: {
+      ip_address: ip,
+      succeeded: false,
+      created_at: { gte: windowStart }
+    }
+  });
+
+  return {
+    blocked: failures >= getIpMaxAttempts(),
+    retryAfterSeconds: Math.ceil(getWindowMs() / 1000)
+  };
+};
+
+// Slow down each failed response exponentially with recent failures for the email or address
+export const applyFailureDelay = async (email, ip) => {
+  const windowStart = new Date(Date.now() - getWindowMs());
+  const failures = await prisma.login_attempts.count({
+    where: {
+      succeeded: false,
+      created_at: { gte: windowStart },
+      OR: [
+        { email },
+        ...(ip ? [{ ip_address: ip }] : [])
+      ]
+    }
+  });
+
+  if (failures > 1) {
+    await sleep(Math.min(getDelayBaseMs() * 2 ** (failures - 2), getDelayMaxMs()));
+  }
+};
+
+// Record a failed attempt and lock the account once it reaches the limit
+export const recordLoginFailure = async ({ email, ip, user, reason }) => {
+  await prisma.login_attempts.create({
+    data: {
+      email,
+      ip_address: ip || null,
+      succeeded: false
+    }
+  });
+
+  if (!user) {
+    return { locked: false };
+  }
+
+  const { failed_login_attempts } = await prisma.users.update({
+    where: { id: user.id },
+    data: { failed_login_attempts: { increment: 1 } },
+    select: { failed_login_attempts: true }
+  });
+
+  if (failed_login_attempts < getMaxAttempts()) {
+    return { locked: false };
+  }
+
+  const lockedUntil = new Date(Date.now() + getLockoutMs());
+
+  await prisma.$transaction([
+    prisma.users.update({
+      where: { id: user.id },
+      data: {
+        failed_login_attempts: 0,
+        locked_until: lockedUntil
+      }
+    }),
+    prisma.activity_logs.create({
+      data: {
+        user_id: user.id,
+        action: 'ACCOUNT_LOCKED',
+        description: `Account locked until ${lockedUntil.toISOString()} after ${failed_login_attempts} failed login attempts (${reason || 'invalid password'}) from ${ip || 'unknown IP'}`
+      }
+    })
+  ]);
+
+  logger.warn('Account locked after repeated failed logins', {
+    userId: user.id,
+    email,
+    ip,
+    lockedUntil
+  });
+
+  return { locked: true, lockedUntil };
+};
+
+export const recordLoginSuccess = async ({ email, ip, user }) => {
+  await prisma.$transaction([
+    prisma.login_attempts.create({
+      data: {
+        email,
+        ip_address: ip || null,
+        succeeded: true
+      }
+    }),
+    prisma.users.update({
+      where: { id: user.id },
+      data: {
+        failed_login_attempts: 0,
+        locked_until: null
+      }
+    })
+  ]);
+};
+
+// Clear a lockout on behalf of support staff
+export const unlockAccount = async (userId, adminId) => {
+  const [user] = await prisma.$transaction([
+    prisma.users.update({
+      where: { id: userId },
+      data: {
+        failed_login_attempts: 0,
+        locked_until: null
+      },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        locked_until: true
+      }
+    }),
+    prisma.activity_logs.create({
+      data: {
+        user_id: userId,
+        action: 'ACCOUNT_UNLOCKED',
+        description: `Account unlocked by admin ${adminId}`
+      }
+    })
+  ]);
+
+  return user;
+};
@@ -0,0 +1,109 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../outbox');
+
+// Writes each message as a JSON file so dev tools and tests can read it back
+const outboxTransport = async (message) => {
+  const outboxDir = getOutboxDir();
+  if (!fs.existsSync(outboxDir)) {
+    fs.mkdirSync(outboxDir, { recursive: true });
+  }
+
+  const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+  await fs.promises.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+  return { id: fileName };
+};
+
+// Only records that a message was sent; bodies may contain tokens so they are not logged
+const logTransport = async (message) => {
+  logger.info('Email send skipped by log transport', {
+    to: message.to,
+    subject: message.subject
+  });
+  return { id: null };
+};
+
+const transports = {
+  outbox: outboxTransport,
+  log: logTransport
+};
+
+let customTransport = null;
+
+// Plug in a real delivery provider, e.g. an SMTP or API client: fn(message) => Promise
+export const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getTransport = () => {
+  if (customTransport) {
+    return customTransport;
+  }
+
+  const name = process.env.MAIL_TRANSPORT || 'outbox';
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport "${name}"`);
+  }
+  return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    html,
+    sent_at: new Date().toISOString()
+  };
+
+  try {
+    const result = await getTransport()(message);
+    logger.info('Email sent successfully', { to, subject, messageId: result?.id });
+    return result;
+  } catch (error) {
+    logger.error('Error sending email:', {
+      error: error.message,
+      stack: error.stack,
+      to,
+      subject
+    });
+    throw error;
+  }
+};
+
+// Read messages written by the outbox transport, newest first
+export const readOutbox = async ({ to } = {}) => {
+  const outboxDir = getOutboxDir();
+  if (!fs.existsSync(outboxDir)) {
+    return [];
+  }
+
+  const files = (await fs.promises.readdir(outboxDir))
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .reverse();
+
+  const messages = await Promise.all(
+    files.map(async file => JSON.parse(await fs.promises.readFile(path.join(outboxDir, file), 'utf8')))
+  );
+
+  return to ? messages.filter(message => message.to === to) : messages;
+};
+
+// Build a link into the storefront client
+export const clientUrl = (pathname, params = {}) => {
+  const base = process.env.CLIENT_URL && process.env.CLIENT_URL !== '*'
+    ? process.env.CLIENT_URL
+    : 'http://localhost:3000';
+  const url = new URL(pathname, base);
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+import { generateToken } from '../utils/tokens.js';
+
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+// No default: a secret checked into the repo would let anyone forge payment events
+const getWebhookSecret = () => {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+  }
+  return secret;
+};
+
+// Outcomes depend only on the amount, so checkout can be tested offline:
+// amounts ending in .02 are declined, everything else is approved
+const isDeclined = (amountCents) => amountCents % 100 === 2;
+
+const sign = (timestamp, rawBody) => {
+  return crypto.createHmac('sha256', getWebhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+};
+
+// Build the signature header for a webhook body, e.g. to replay events in development
+export const signMockWebhook = (rawBody, timestamp = Math.floor(Date.now() / 1000)) => {
+  return `t=${timestamp},v1=${sign(timestamp, rawBody)}`;
+};
+
+// Stateless: the payment service keeps amounts and status in the payments table
+const mockPaymentProvider = {
+  name: 'mock',
+
+  createIntent: async ({ amountCents, token, capture }) => {
+    const id = `mock_pi_${generateToken(12)}`;
+
+    if (!token) {
+      return { id, status: 'failed', failureMessage: 'Payment method has no token' };
+    }
+    if (isDeclined(amountCents)) {
+      return { id, status: 'failed', failureMessage: 'Card was declined' };
+    }
+    return { id, status: capture ? 'succeeded' : 'requires_capture' };
+  },
+
+  capture: async () => ({ status: 'succeeded' }),
+
+  void: async () => ({ status: 'canceled' }),
+
+  refund: async () => ({ id: `mock_re_${generateToken(12)}`, status: 'succeeded' }),
+
+  // Header format: X-Payment-Signature: t=<unix seconds>,v1=<hex hmac of "t.body">
+  verifyWebhook: (rawBody, headers) => {
+    const header = headers['x-payment-signature'] || '';
+    const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+    const timestamp = parseInt(parts.t);
+
+    if (!timestamp || !parts.v1) {
+      return null;
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return null;
+    }
+
+    const expected = Buffer.from(sign(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    // Events look like { id, type, data: { payment_id, amount_cents } }
+    return JSON.parse(rawBody);
+  }
+};
+
+export default mockPaymentProvider;
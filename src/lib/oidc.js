@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { UnauthorizedError, ValidationError } from '../middleware/error.js';
+import { generateToken } from '../utils/tokens.js';
+
+const STATE_TTL_MS = 10 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Providers are configured entirely through OIDC_<NAME>_* environment variables
+const env = (name, key) => process.env[`OIDC_${name.toUpperCase()}_${key}`];
+
+export const getConfiguredProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+export const getProvider = (name) => {
+  if (!getConfiguredProviders().includes(name)) {
+    return null;
+  }
+
+  return {
+    name,
+    issuer: env(name, 'ISSUER'),
+    clientId: env(name, 'CLIENT_ID'),
+    clientSecret: env(name, 'CLIENT_SECRET'),
+    redirectUri: env(name, 'REDIRECT_URI'),
+    scopes: env(name, 'SCOPES') || 'openid email profile',
+    // Explicit endpoints override discovery, e.g. for plain OAuth providers like GitHub
+    authorizationEndpoint: env(name, 'AUTHORIZATION_ENDPOINT'),
+    tokenEndpoint: env(name, 'TOKEN_ENDPOINT'),
+    userinfoEndpoint: env(name, 'USERINFO_ENDPOINT'),
+    jwksUri: env(name, 'JWKS_URI')
+  };
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+// Resolve endpoints from the issuer's discovery document, letting explicit settings win
+const resolveEndpoints = async (provider) => {
+  let discovered = {};
+
+  if (provider.issuer) {
+    if (!discoveryCache.has(provider.issuer)) {
+      const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+      discoveryCache.set(provider.issuer, await fetchJson(url));
+    }
+    discovered = discoveryCache.get(provider.issuer);
+  }
+
+  return {
+    issuer: discovered.issuer || provider.issuer,
+    authorizationEndpoint: provider.authorizationEndpoint || discovered.authorization_endpoint,
+    tokenEndpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    userinfoEndpoint: provider.userinfoEndpoint || discovered.userinfo_endpoint,
+    jwksUri: provider.jwksUri || discovered.jwks_uri
+  };
+};
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// Build the provider redirect URL and remember the PKCE verifier and nonce server-side
+export const createAuthorizationRequest = async (provider, { userId = null } = {}) => {
+  const endpoints = await resolveEndpoints(provider);
+  const state = generateToken(24);
+  const nonce = generateToken(16);
+  const codeVerifier = base64Url(crypto.randomBytes(48));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await prisma.oauth_states.create({
+    data: {
+      state,
+      provider: provider.name,
+      code_verifier: codeVerifier,
+      nonce,
+      user_id: userId,
+      expires_at: new Date(Date.now() + STATE_TTL_MS)
+    }
+  });
+
+  const url = new URL(endpoints.authorizationEndpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', provider.redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+
+  return url.toString();
+};
+
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (jwks) => jwks.keys.find(key => !kid || key.kid === kid);
+
+  let key = jwksCache.has(jwksUri) ? findKey(jwksCache.get(jwksUri)) : null;
+  if (!key) {
+    // Unknown kid usually means the provider rotated keys, so refetch once
+    jwksCache.set(jwksUri, await fetchJson(jwksUri));
+    key = findKey(jwksCache.get(jwksUri));
+  }
+  if (!key) {
+    throw new UnauthorizedError('No matching signing key for ID token');
+  }
+
+  return crypto.createPublicKey({ key, format: 'jwk' });
+};
+
+const verifyIdToken = async (idToken, provider, endpoints, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new UnauthorizedError('Malformed ID token');
+  }
+
+  const key = await getSigningKey(endpoints.jwksUri, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer: endpoints.issuer
+    });
+  } catch (error) {
+    throw new UnauthorizedError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new UnauthorizedError('ID token nonce mismatch');
+  }
+
+  return claims;
+};
+
+// Exchange the authorization code and return the verified identity of the user
+export const completeAuthorization = async (provider, { code, state }) => {
+  if (!code || !state) {
+    throw new ValidationError('Code and state are required');
+  }
+
+  const pending = await prisma.oauth_states.findUnique({
+    where: { state }
+  });
+
+  // Single use: delete before doing anything else with it
+  const { count } = await prisma.oauth_states.deleteMany({
+    where: { state, provider: provider.name }
+  });
+
+  if (!pending || count === 0 || pending.provider !== provider.name || pending.expires_at < new Date()) {
+    throw new UnauthorizedError('Login state is invalid or has expired');
+  }
+
+  const endpoints = await resolveEndpoints(provider);
+  const tokens = await fetchJson(endpoints.tokenEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      code_verifier: pending.code_verifier
+    })
+  }).catch(error => {
+    logger.warn('OIDC code exchange failed', { provider: provider.name, error: error.message });
+    throw new UnauthorizedError('Could not exchange authorization code');
+  });
+
+  let profile = {};
+  if (tokens.id_token) {
+    profile = await verifyIdToken(tokens.id_token, provider, endpoints, pending.nonce);
+  }
+
+  // Plain OAuth providers and sparse ID tokens are filled in from the userinfo endpoint
+  if ((!profile.sub || !profile.email) && endpoints.userinfoEndpoint && tokens.access_token) {
+    const userinfo = await fetchJson(endpoints.userinfoEndpoint, {
+      headers: {
+        Authorization: `Bearer ${tokens.access_token}`,
+        Accept: 'application/json'
+      }
+    });
+    profile = { ...userinfo, ...profile };
+  }
+
+  const subject = profile.sub || (profile.id !== undefined ? String(profile.id) : null);
+  if (!subject) {
+    throw new UnauthorizedError('Provider did not return a user identifier');
+  }
+
+  return {
+    subject,
+    email: profile.email || null,
+    emailVerified: profile.email_verified === true || profile.email_verified === 'true',
+    name: profile.name || profile.login || null,
+    linkUserId: pending.user_id
+  };
+};
@@ -0,0 +1,136 @@
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { ConflictError, NotFoundError } from '../middleware/error.js';
+import { canTransition, lockOrder, transitionOrderStatus } from './orderStatus.js';
+import { refundPayment, voidPayment } from './payments.js';
+import { releaseOrderReservations, getTakenStock } from './stock.js';
+
+// Give the money back for a cancelled order; anything the provider refuses is left for staff
+const settleCancelledOrderPayments = async (order, { reason, cancelledBy }) => {
+  const payments = await prisma.payments.findMany({
+    where: {
+      order_id: order.id,
+      status: { in: ['pending', 'requires_capture', 'succeeded', 'partially_refunded'] }
+    }
+  });
+
+  if (payments.length === 0) {
+    return null;
+  }
+
+  let refundStatus = 'refunded';
+  for (const payment of payments) {
+    try {
+      if (payment.status === 'requires_capture') {
+        await voidPayment(payment.id);
+      } else if (payment.status === 'pending') {
+        // Outcome still unknown at the provider, so a person has to check it
+        refundStatus = 'manual_required';
+      } else {
+        await refundPayment(payment.id, { reason: reason || 'Order cancelled', userId: cancelledBy });
+      }
+    } catch (error) {
+      logger.error('Automatic refund failed for cancelled order:', {
+        error: error.message,
+        orderId: order.id,
+        paymentId: payment.id
+      });
+      refundStatus = 'manual_required';
+    }
+  }
+
+  await prisma.orders.update({
+    where: { id: order.id },
+    data: { refund_status: refundStatus }
+  });
+
+  if (refundStatus === 'manual_required') {
+    await prisma.activity_logs.create({
+      data: {
+        user_id: cancelledBy,
+        action: 'REFUND_MANUAL_REQUIRED',
+        description: `Order #${order.id} was cancelled but could not be refunded automatically`
+      }
+    });
+  }
+
+  return refundStatus;
+};
+
+// Cancel an order that has not shipped, put its stock back or release its reservations and refund it
+export const cancelOrder = async (orderId, { cancelledBy, reason = null, byStaff = false }) => {
+  const order = await prisma.orders.findUnique({
+    where: { id: orderId },
+    include: { order_items: true }
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canTransition(order.status, 'cancelled')) {
+    throw new ConflictError(`Orders cannot be cancelled once ${order.status}`);
+  }
+
+  // Restocking everything would be wrong once part of the order has left the warehouse
+  const shipmentCount = await prisma.shipments.count({ where: { order_id: orderId } });
+  if (shipmentCount > 0) {
+    throw new ConflictError('Part of this order has already shipped and it can no longer be cancelled');
+  }
+
+  await prisma.$transaction(async (tx) => {
+    // A payment may have taken the stock since the order was read above
+    const lockedOrder = await lockOrder(tx, orderId);
+
+    await transitionOrderStatus(orderId, 'cancelled', {
+      changedBy: cancelledBy,
+      note: reason,
+      data: {
+        cancelled_at: new Date(),
+        cancellation_reason: reason
+      },
+      client: tx
+    });
+
+    // Unpaid orders only held their stock; paid ones give back what they took
+    await releaseOrderReservations(tx, orderId);
+
+    for (const [variantId, quantity] of getTakenStock(lockedOrder)) {
+      if (quantity === 0) {
+        continue;
+      }
+      await tx.product_variants.update({
+        where: { id: variantId },
+        data: {
+          stock_qty: {
+            increment: quantity
+          }
+        }
+      });
+    }
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: cancelledBy,
+        action: byStaff ? 'ADMIN_CANCEL_ORDER' : 'CANCEL_ORDER',
+        description: `Cancelled order #${orderId}${reason ? `: ${reason}` : ''}`
+      }
+    });
+  });
+
+  // Provider calls happen after the commit so a slow provider never holds row locks
+  const refundStatus = await settleCancelledOrderPayments(order, { reason, cancelledBy });
+
+  logger.info('Order cancelled', { orderId, cancelledBy, byStaff, refundStatus });
+
+  return prisma.orders.findUnique({
+    where: { id: orderId },
+    include: {
+      order_items: true,
+      payments: {
+        include: { refunds: true }
+      }
+    }
+  });
+};
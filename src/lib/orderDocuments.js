@@ -0,0 +1,157 @@
+import PDFDocument from 'pdfkit';
+import { toCents, fromCents } from '../utils/money.js';
+import { formatInvoiceNumber } from './invoices.js';
+
+const getStoreName = () => process.env.STORE_NAME || 'E-commerce';
+
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toUpperCase();
+
+const formatMoney = (amount) => `${fromCents(toCents(amount))} ${getCurrency()}`;
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+const describeVariant = (item) => [item.size, item.color, item.edition].filter(Boolean).join(' / ');
+
+// Render into a buffer so a failure can still be answered with a JSON error
+const renderPdf = (draw) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+const drawShippingAddress = (doc, order, title) => {
+  doc.fontSize(10).font('Helvetica-Bold').text(title);
+  doc.font('Helvetica');
+
+  const lines = [
+    order.shipping_name,
+    order.shipping_street,
+    [order.shipping_postal_code, order.shipping_city].filter(Boolean).join(' '),
+    [order.shipping_state, order.shipping_country].filter(Boolean).join(', '),
+    order.shipping_phone,
+    order.contact_email
+  ].filter(Boolean);
+
+  doc.text(lines.length > 0 ? lines.join('\n') : 'No shipping address recorded');
+  doc.moveDown();
+};
+
+// Columns as [title, x, width, align]
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    doc.font(font);
+    let height = 0;
+    cells.forEach((cell, index) => {
+      const [, x, width, align] = columns[index];
+      doc.text(String(cell ?? ''), x, y, { width, align });
+      height = Math.max(height, doc.y - y);
+    });
+    doc.x = doc.page.margins.left;
+    doc.y = y + height + 4;
+  };
+
+  doc.fontSize(9);
+  drawRow(columns.map(([title]) => title), 'Helvetica-Bold');
+  doc.moveTo(doc.page.margins.left, doc.y - 2).lineTo(doc.page.width - doc.page.margins.right, doc.y - 2).stroke();
+  rows.forEach(row => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 40) {
+      doc.addPage();
+    }
+    drawRow(row, 'Helvetica');
+  });
+  doc.moveDown();
+};
+
+// Invoice with prices as they were when the order was placed
+export const renderInvoicePdf = (order, invoice) => renderPdf((doc) => {
+  const itemsCents = order.order_items.reduce(
+    (sum, item) => sum + toCents(item.unit_price) * item.quantity,
+    0
+  );
+
+  doc.fontSize(20).font('Helvetica-Bold').text(getStoreName());
+  doc.fontSize(14).text('Invoice');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Invoice number: ${formatInvoiceNumber(invoice.number)}`)
+    .text(`Invoice date: ${formatDate(invoice.issued_at)}`)
+    .text(`Order: #${order.id} placed ${formatDate(order.created_at)}`)
+    .text(`Payment: ${order.payment_method}`);
+  doc.moveDown();
+
+  drawShippingAddress(doc, order, 'Bill and ship to');
+
+  drawTable(doc, [
+    ['Item', 50, 190, 'left'],
+    ['Variant', 245, 110, 'left'],
+    ['Qty', 360, 40, 'right'],
+    ['Unit price', 405, 70, 'right'],
+    ['Subtotal', 480, 65, 'right']
+  ], order.order_items.map(item => [
+    item.product_name,
+    describeVariant(item),
+    item.quantity,
+    formatMoney(item.unit_price),
+    formatMoney(item.subtotal ?? fromCents(toCents(item.unit_price) * item.quantity))
+  ]));
+
+  const totals = [
+    ['Items', formatMoney(fromCents(itemsCents))],
+    [`Shipping${order.shipping_method ? ` (${order.shipping_method})` : ''}`, formatMoney(order.shipping_cost || 0)],
+    ...(Number(order.discount_amount) > 0 ? [[
+      `Discount${order.coupon_redemption ? ` (${order.coupon_redemption.code})` : ''}`,
+      `-${formatMoney(order.discount_amount)}`
+    ]] : []),
+    ...(order.tax_lines || []).map(line => [
+      `${line.name} (${(Number(line.rate) * 100).toFixed(2)}%${order.tax_inclusive ? ', included' : ''})`,
+      formatMoney(line.amount)
+    ]),
+    ['Total', formatMoney(order.total_amount)]
+  ];
+
+  totals.forEach(([label, amount], index) => {
+    const y = doc.y;
+    doc.font(index === totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica');
+    doc.text(label, 300, y, { width: 170, align: 'right' });
+    doc.text(amount, 480, y, { width: 65, align: 'right' });
+    doc.x = doc.page.margins.left;
+  });
+
+  if (order.status === 'refunded' || order.status === 'cancelled') {
+    doc.moveDown().font('Helvetica-Oblique').text(`This order was ${order.status}; see the credited amounts in your order history.`);
+  }
+});
+
+// Packing slip for the warehouse: what to pack and where to send it, without prices
+export const renderPackingSlipPdf = (order) => renderPdf((doc) => {
+  doc.fontSize(20).font('Helvetica-Bold').text(getStoreName());
+  doc.fontSize(14).text('Packing slip');
+  doc.moveDown(0.5);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Order: #${order.id} placed ${formatDate(order.created_at)}`)
+    .text(`Shipping method: ${order.shipping_method || 'not set'}`);
+  doc.moveDown();
+
+  drawShippingAddress(doc, order, 'Ship to');
+
+  drawTable(doc, [
+    ['Item', 50, 250, 'left'],
+    ['Variant', 305, 150, 'left'],
+    ['Qty', 460, 85, 'right']
+  ], order.order_items.map(item => [
+    item.product_name,
+    describeVariant(item),
+    item.quantity
+  ]));
+});
@@ -0,0 +1,70 @@
+import prisma from './prisma.js';
+import { ConflictError, NotFoundError } from '../middleware/error.js';
+
+export const ORDER_STATUSES = ['pending', 'paid', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+
+// Allowed moves; cancelled and refunded are final
+export const ORDER_STATUS_TRANSITIONS = {
+  pending: ['paid', 'cancelled'],
+  paid: ['processing', 'shipped', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'refunded'],
+  delivered: ['refunded'],
+  cancelled: [],
+  refunded: []
+};
+
+// Orders in these states have been paid for and count towards revenue
+export const REVENUE_STATUSES = ['paid', 'processing', 'shipped', 'delivered'];
+
+export const isOrderStatus = (status) => ORDER_STATUSES.includes(status);
+
+export const canTransition = (from, to) => (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+
+// Lock an order row until the transaction ends and read it again with its items, so payment
+// and cancellation cannot act on each other's stale copy
+export const lockOrder = async (tx, orderId) => {
+  await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+  return tx.orders.findUnique({
+    where: { id: orderId },
+    include: { order_items: true }
+  });
+};
+
+// Move an order to a new status and record it in the history; pass a transaction client to join one
+export const transitionOrderStatus = async (orderId, toStatus, { changedBy = null, note = null, data = {}, client = prisma } = {}) => {
+  const order = await client.orders.findUnique({
+    where: { id: orderId },
+    select: { id: true, status: true }
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  if (!canTransition(order.status, toStatus)) {
+    throw new ConflictError(`Cannot change order status from ${order.status} to ${toStatus}`);
+  }
+
+  // Only succeeds if nobody changed the status since it was read
+  const { count } = await client.orders.updateMany({
+    where: { id: orderId, status: order.status },
+    data: { ...data, status: toStatus }
+  });
+
+  if (count === 0) {
+    throw new ConflictError('Order status was changed by someone else; reload and try again');
+  }
+
+  await client.order_status_history.create({
+    data: {
+      order_id: orderId,
+      from_status: order.status,
+      to_status: toStatus,
+      changed_by: changedBy,
+      note
+    }
+  });
+
+  return { id: orderId, from: order.status, status: toStatus };
+};
@@ -0,0 +1,80 @@
+import logger from './logger.js';
+import { ValidationError } from '../middleware/error.js';
+import { generateToken } from '../utils/tokens.js';
+import { normalizeCardNumber, detectCardBrand } from '../utils/cards.js';
+
+// Test card numbers the fake provider refuses, like real sandboxes do
+const FAKE_DECLINED_CARDS = ['4000000000000002'];
+
+// Local stand-in for a card vault: issues random tokens and never stores card data
+const fakeProvider = {
+  name: 'fake',
+  tokenize: async ({ number }) => {
+    if (FAKE_DECLINED_CARDS.includes(number)) {
+      throw new ValidationError('Card was declined');
+    }
+    return { token: `tok_fake_${generateToken(12)}` };
+  },
+  deleteToken: async () => {}
+};
+
+const providers = {
+  fake: fakeProvider
+};
+
+let customProvider = null;
+
+// Plug in a real vault, e.g. a PSP client: { name, tokenize(card) => Promise<{ token }>, deleteToken(token) => Promise }
+export const setVaultProvider = (provider) => {
+  customProvider = provider;
+};
+
+const getProvider = () => {
+  if (customProvider) {
+    return customProvider;
+  }
+
+  const name = process.env.PAYMENT_VAULT_PROVIDER || 'fake';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment vault provider "${name}"`);
+  }
+  return provider;
+};
+
+// Exchange card details for a token; only the returned fields may be stored
+export const tokenizeCard = async ({ card_number, expiry, card_holder_name }) => {
+  const provider = getProvider();
+  const number = normalizeCardNumber(card_number);
+
+  const { token } = await provider.tokenize({
+    number,
+    expMonth: expiry.month,
+    expYear: expiry.year,
+    holderName: card_holder_name
+  });
+
+  return {
+    token,
+    provider: provider.name,
+    brand: detectCardBrand(number),
+    last4: number.slice(-4)
+  };
+};
+
+// Best effort: a token left behind at the provider is not usable without our account
+export const deleteCardToken = async (paymentMethod) => {
+  const provider = getProvider();
+  if (!paymentMethod.token || paymentMethod.provider !== provider.name) {
+    return;
+  }
+
+  try {
+    await provider.deleteToken(paymentMethod.token);
+  } catch (error) {
+    logger.error('Error deleting card token:', {
+      error: error.message,
+      paymentMethodId: paymentMethod.id
+    });
+  }
+};
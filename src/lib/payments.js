@@ -0,0 +1,370 @@
+import prisma from './prisma.js';
+import logger from './logger.js';
+import mockPaymentProvider from './mockPaymentProvider.js';
+import { transitionOrderStatus } from './orderStatus.js';
+import { issueInvoice } from './invoices.js';
+import { commitOrderStock } from './stock.js';
+import { ConflictError, NotFoundError, ValidationError } from '../middleware/error.js';
+import { toCents, fromCents } from '../utils/money.js';
+
+const providers = {
+  mock: mockPaymentProvider
+};
+
+let customProvider = null;
+
+// Plug in a real payment provider implementing the same methods as the mock provider
+export const setPaymentProvider = (provider) => {
+  customProvider = provider;
+};
+
+export const getPaymentProvider = () => {
+  if (customProvider) {
+    return customProvider;
+  }
+
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  // The mock approves any card, so it must never take real orders
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  return provider;
+};
+
+const getCurrency = () => (process.env.PAYMENT_CURRENCY || 'usd').toLowerCase();
+
+// With PAYMENT_CAPTURE_MODE=manual payments are only authorized until staff capture them
+const isAutomaticCapture = () => process.env.PAYMENT_CAPTURE_MODE !== 'manual';
+
+// Move a pending order to paid, take its stock and issue its invoice
+const completeOrderPayment = async (tx, order, { changedBy = null, note, description }) => {
+  await transitionOrderStatus(order.id, 'paid', {
+    changedBy,
+    note,
+    data: { is_paid: true, paid_at: new Date() },
+    client: tx
+  });
+
+  await commitOrderStock(tx, order.id);
+  await issueInvoice(order.id, tx);
+
+  await tx.activity_logs.create({
+    data: {
+      user_id: order.user_id,
+      action: 'ORDER_PAID',
+      description
+    }
+  });
+};
+
+// Move a pending order to paid; safe to call again for the same order
+const markOrderPaid = async (tx, orderId, paymentId) => {
+  const order = await tx.orders.findUnique({ where: { id: orderId } });
+  if (order.status !== 'pending') {
+    logger.warn('Payment succeeded for order that is not pending', { orderId, paymentId, status: order.status });
+    // Money arrived after the order was cancelled and has to be returned by hand
+    if (order.status === 'cancelled') {
+      await tx.orders.update({
+        where: { id: orderId },
+        data: { refund_status: 'manual_required' }
+      });
+    }
+    return false;
+  }
+
+  await completeOrderPayment(tx, order, {
+    note: `Payment #${paymentId} succeeded`,
+    description: `Order #${orderId} paid with payment #${paymentId}`
+  });
+
+  return true;
+};
+
+// Staff confirming money that arrived outside the payment provider, e.g. a bank transfer
+export const markOrderPaidManually = async (orderId, { staffId, note = null }) => {
+  await prisma.$transaction(async (tx) => {
+    const order = await tx.orders.findUnique({ where: { id: orderId } });
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    await completeOrderPayment(tx, order, {
+      changedBy: staffId,
+      note: note || 'Payment confirmed by staff',
+      description: `Order #${orderId} marked paid by staff`
+    });
+  });
+};
+
+// Store a provider outcome and mark the order paid once the money is captured
+const recordPaymentResult = async (tx, payment, { id: providerPaymentId, status, failureMessage = null }) => {
+  const updated = await tx.payments.update({
+    where: { id: payment.id },
+    data: {
+      provider_payment_id: providerPaymentId || payment.provider_payment_id,
+      status,
+      failure_message: failureMessage,
+      updated_at: new Date()
+    }
+  });
+
+  if (status === 'succeeded') {
+    await markOrderPaid(tx, payment.order_id, payment.id);
+  } else if (status === 'requires_capture') {
+    // The money is held for us, so the stock should not run out before capture
+    await commitOrderStock(tx, payment.order_id);
+  }
+
+  return updated;
+};
+
+const applyPaymentResult = (payment, result) => {
+  return prisma.$transaction(tx => recordPaymentResult(tx, payment, result));
+};
+
+const findPayment = async (paymentId) => {
+  const payment = await prisma.payments.findUnique({
+    where: { id: paymentId }
+  });
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+  return payment;
+};
+
+// The chosen saved card, or the user's default one; it must have a vault token
+export const findChargeablePaymentMethod = async (userId, paymentMethodId) => {
+  const paymentMethod = await prisma.payment_methods.findFirst({
+    where: paymentMethodId
+      ? { id: parseInt(paymentMethodId), user_id: userId }
+      : { user_id: userId, is_default: true }
+  });
+
+  if (!paymentMethod) {
+    throw new ValidationError(paymentMethodId ? 'Payment method not found' : 'Choose a payment method or set a default one');
+  }
+  if (!paymentMethod.token) {
+    throw new ValidationError('This card needs to be added again before it can be charged');
+  }
+  return paymentMethod;
+};
+
+// Authorize (and by default capture) the order total with a saved payment method
+export const createPaymentIntent = async (order, paymentMethod) => {
+  if (order.status !== 'pending') {
+    throw new ConflictError('Order is not awaiting payment');
+  }
+
+  const provider = getPaymentProvider();
+  const capture = isAutomaticCapture();
+
+  const payment = await prisma.payments.create({
+    data: {
+      order_id: order.id,
+      payment_method_id: paymentMethod?.id || null,
+      provider: provider.name,
+      amount: order.total_amount,
+      currency: getCurrency(),
+      status: 'pending'
+    }
+  });
+
+  let result;
+  try {
+    result = await provider.createIntent({
+      amountCents: toCents(order.total_amount),
+      currency: payment.currency,
+      token: paymentMethod?.token || null,
+      capture,
+      metadata: { order_id: order.id, payment_id: payment.id }
+    });
+  } catch (error) {
+    logger.error('Payment provider error creating intent:', {
+      error: error.message,
+      orderId: order.id,
+      paymentId: payment.id
+    });
+    return applyPaymentResult(payment, { status: 'failed', failureMessage: 'Payment provider unavailable' });
+  }
+
+  logger.info('Payment intent created', { orderId: order.id, paymentId: payment.id, status: result.status });
+  return applyPaymentResult(payment, result);
+};
+
+// Capture an authorized payment
+export const capturePayment = async (paymentId) => {
+  const payment = await findPayment(paymentId);
+  if (payment.status !== 'requires_capture') {
+    throw new ConflictError(`Payment cannot be captured while ${payment.status}`);
+  }
+
+  const { status, failureMessage } = await getPaymentProvider().capture(payment.provider_payment_id, {
+    amountCents: toCents(payment.amount)
+  });
+
+  logger.info('Payment captured', { paymentId, status });
+  return applyPaymentResult(payment, { status, failureMessage });
+};
+
+// Release an authorization without charging
+export const voidPayment = async (paymentId) => {
+  const payment = await findPayment(paymentId);
+  if (payment.status !== 'requires_capture') {
+    throw new ConflictError(`Payment cannot be voided while ${payment.status}`);
+  }
+
+  const { status, failureMessage } = await getPaymentProvider().void(payment.provider_payment_id);
+
+  logger.info('Payment voided', { paymentId, status });
+  return applyPaymentResult(payment, { status, failureMessage });
+};
+
+// Lock a payment row until the transaction ends and read it again
+const lockPayment = async (tx, paymentId) => {
+  await tx.$queryRaw`SELECT id FROM payments WHERE id = ${paymentId} FOR UPDATE`;
+  return tx.payments.findUnique({ where: { id: paymentId } });
+};
+
+// Set a refund amount aside on the payment before the provider is called, so two refunds at
+// once cannot both pass the remaining-amount check; the provider call itself holds no locks
+const reserveRefund = (paymentId, amount) => prisma.$transaction(async (tx) => {
+  const payment = await lockPayment(tx, paymentId);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+  if (!['succeeded', 'partially_refunded'].includes(payment.status)) {
+    throw new ConflictError(`Payment cannot be refunded while ${payment.status}`);
+  }
+
+  const remainingCents = toCents(payment.amount) - toCents(payment.amount_refunded);
+  const amountCents = amount === undefined || amount === null ? remainingCents : toCents(amount);
+  if (!(amountCents > 0) || amountCents > remainingCents) {
+    throw new ValidationError(`Refund amount must be between 0.01 and ${fromCents(remainingCents)}`);
+  }
+
+  await tx.payments.update({
+    where: { id: paymentId },
+    data: { amount_refunded: { increment: fromCents(amountCents) } }
+  });
+
+  return { payment, amountCents };
+});
+
+// Give back an amount set aside for a refund that did not happen
+const releaseRefund = (paymentId, amountCents) => {
+  return prisma.payments.update({
+    where: { id: paymentId },
+    data: { amount_refunded: { decrement: fromCents(amountCents) } }
+  });
+};
+
+// Refund all or part of a captured payment; amount defaults to what is left
+export const refundPayment = async (paymentId, { amount, reason = null, userId = null } = {}) => {
+  const { payment, amountCents } = await reserveRefund(paymentId, amount);
+
+  let result;
+  try {
+    result = await getPaymentProvider().refund(payment.provider_payment_id, { amountCents, reason });
+  } catch (error) {
+    await releaseRefund(payment.id, amountCents);
+    throw error;
+  }
+  if (result.status !== 'succeeded') {
+    await releaseRefund(payment.id, amountCents);
+    throw new ConflictError(result.failureMessage || 'Refund was rejected by the payment provider');
+  }
+
+  const [refund, updatedPayment] = await prisma.$transaction(async (tx) => {
+    const created = await tx.refunds.create({
+      data: {
+        payment_id: payment.id,
+        amount: fromCents(amountCents),
+        reason,
+        provider_refund_id: result.id,
+        created_by: userId
+      }
+    });
+
+    // Other refunds may have been set aside meanwhile, so the status comes from the current row
+    const current = await lockPayment(tx, payment.id);
+    const updated = await tx.payments.update({
+      where: { id: payment.id },
+      data: {
+        status: toCents(current.amount_refunded) >= toCents(current.amount) ? 'refunded' : 'partially_refunded',
+        updated_at: new Date()
+      }
+    });
+
+    return [created, updated];
+  });
+
+  const fullyRefunded = updatedPayment.status === 'refunded';
+  logger.info('Payment refunded', { paymentId, amountCents, fullyRefunded });
+  return { payment: updatedPayment, refund, fullyRefunded };
+};
+
+// Check a webhook signature and return the event, or null if it is not authentic
+export const verifyWebhook = (rawBody, headers) => {
+  try {
+    return getPaymentProvider().verifyWebhook(rawBody, headers);
+  } catch (error) {
+    logger.warn('Payment webhook verification error', { error: error.message });
+    return null;
+  }
+};
+
+const WEBHOOK_STATUSES = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.canceled': 'canceled'
+};
+
+// Apply an asynchronous provider notification; each event is processed once.
+// The event is stored in the same transaction that acts on it, so if processing fails
+// nothing is recorded and the provider's retry is processed like a first delivery.
+export const handleWebhookEvent = async (event) => {
+  const provider = getPaymentProvider();
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      // A concurrent delivery of the same event waits here until this one commits
+      await tx.payment_events.create({
+        data: {
+          provider: provider.name,
+          event_id: String(event.id),
+          type: event.type,
+          payload: event,
+          processed_at: new Date()
+        }
+      });
+
+      const payment = await tx.payments.findUnique({
+        where: { provider_payment_id: String(event.data?.payment_id) }
+      });
+
+      const status = WEBHOOK_STATUSES[event.type];
+      if (!payment) {
+        logger.warn('Payment webhook for unknown payment', { eventId: event.id, type: event.type });
+      } else if (status && ['pending', 'requires_capture'].includes(payment.status)) {
+        await recordPaymentResult(tx, payment, {
+          status,
+          failureMessage: event.data?.failure_message || null
+        });
+      } else {
+        logger.info('Payment webhook did not change payment', { eventId: event.id, type: event.type, paymentId: payment.id });
+      }
+
+      return { duplicate: false, paymentId: payment?.id || null };
+    });
+  } catch (error) {
+    if (error.code === 'P2002') {
+      logger.info('Duplicate payment webhook ignored', { eventId: event.id });
+      return { duplicate: true };
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,58 @@
+import prisma from './prisma.js';
+
+// Every permission a role can be granted; '*' grants everything
+export const PERMISSIONS = {
+  'users:read': 'View customer accounts',
+  'users:manage_roles': 'Assign roles to users',
+  'users:unlock': 'Unlock accounts locked after failed logins',
+  'users:impersonate': 'View the store as a customer (read-only)',
+  'users:impersonate_write': 'Make changes while impersonating a customer',
+  'roles:manage': 'Create, edit and delete roles',
+  'api_keys:manage': 'Create, list and revoke API keys',
+  'products:read': 'View products in the admin panel',
+  'products:write': 'Create, update and delete products and variants',
+  'categories:write': 'Create, update and delete categories',
+  'orders:read': 'View all orders',
+  'orders:update_status': 'Change order status',
+  'orders:cancel': 'Cancel orders and refund them',
+  'shipments:manage': 'Create and update order shipments',
+  'payments:manage': 'Capture, void and refund payments',
+  'returns:manage': 'Approve, receive and refund returns',
+  'shipping:manage': 'Manage shipping zones and rates',
+  'tax:manage': 'Manage tax rates',
+  'coupons:manage': 'Manage coupons and view their usage',
+  'dashboard:read': 'View dashboard statistics'
+};
+
+export const isKnownPermission = (permission) => permission === '*' || Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+// Supports exact names, the global '*' and resource wildcards such as 'orders:*'
+export const hasPermission = (granted, permission) => {
+  const [resource] = permission.split(':');
+  return granted.includes('*') ||
+    granted.includes(permission) ||
+    granted.includes(`${resource}:*`);
+};
+
+export const hasAllPermissions = (granted, permissions) => {
+  return permissions.every(permission => hasPermission(granted, permission));
+};
+
+// Flatten a user's role assignments into role names and a permission list
+export const getUserAccess = async (userId) => {
+  const assignments = await prisma.user_roles.findMany({
+    where: { user_id: userId },
+    include: {
+      roles: {
+        include: { role_permissions: true }
+      }
+    }
+  });
+
+  const roles = assignments.map(assignment => assignment.roles.name);
+  const permissions = [...new Set(
+    assignments.flatMap(assignment => assignment.roles.role_permissions.map(rp => rp.permission))
+  )];
+
+  return { roles, permissions };
+};
@@ -0,0 +1,48 @@
+import { toCents, fromCents } from '../utils/money.js';
+
+// Category discounts are fractions: 0.10 takes 10% off every variant in the category
+export const isValidDiscountRate = (rate) => {
+  const value = Number(rate);
+  return Number.isFinite(value) && value >= 0 && value < 1;
+};
+
+const getDiscountRate = (category) => {
+  const rate = Number(category?.discount || 0);
+  return isValidDiscountRate(rate) ? rate : 0;
+};
+
+// List price, discount and the price actually charged for one unit of a variant.
+// Pass the category when the variant was loaded without products.categories.
+export const priceVariant = (variant, category = variant.products?.categories) => {
+  const listCents = toCents(variant.price);
+  const discountRate = getDiscountRate(category);
+  const discountCents = Math.round(listCents * discountRate);
+
+  return {
+    list_price: fromCents(listCents),
+    discount_rate: discountRate,
+    discount: fromCents(discountCents),
+    final_price: fromCents(listCents - discountCents)
+  };
+};
+
+// Cents charged for quantity units of a variant
+export const lineCents = (variant, quantity) => toCents(priceVariant(variant).final_price) * quantity;
+
+// A product as returned by the API, with pricing on each of its variants
+export const withProductPricing = (product) => ({
+  ...product,
+  product_variants: product.product_variants.map(variant => ({
+    ...variant,
+    pricing: priceVariant(variant, product.categories)
+  }))
+});
+
+// A cart or wishlist row as returned by the API, with pricing on its variant
+export const withItemPricing = (item) => ({
+  ...item,
+  product_variants: item.product_variants && {
+    ...item.product_variants,
+    pricing: priceVariant(item.product_variants)
+  }
+});
@@ -0,0 +1,450 @@
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { ConflictError, NotFoundError, ValidationError } from '../middleware/error.js';
+import { canTransition, transitionOrderStatus } from './orderStatus.js';
+import { refundPayment } from './payments.js';
+import { toCents, fromCents } from '../utils/money.js';
+import { copyShippingSnapshot } from './shippingAddress.js';
+import { decrementStock } from './stock.js';
+
+export const RETURN_TYPES = ['return', 'exchange'];
+export const RETURN_REASONS = ['wrong_size', 'defective', 'not_as_described', 'wrong_item', 'changed_mind', 'other'];
+
+// Allowed moves; exchanges are resolved when the goods arrive, returns when they are refunded
+const RETURN_STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received'],
+  received: ['refunded', 'exchanged'],
+  rejected: [],
+  refunded: [],
+  exchanged: []
+};
+
+export const RETURN_STATUSES = Object.keys(RETURN_STATUS_TRANSITIONS);
+
+const getReturnWindowDays = () => parseInt(process.env.RETURN_WINDOW_DAYS) || 30;
+
+export const returnInclude = {
+  return_items: {
+    include: {
+      order_items: true,
+      exchange_variant: {
+        include: { products: { select: { name: true } } }
+      }
+    }
+  }
+};
+
+const loadReturn = async (returnId, toStatus, client = prisma) => {
+  const returnRequest = await client.returns.findUnique({
+    where: { id: returnId },
+    include: returnInclude
+  });
+
+  if (!returnRequest) {
+    throw new NotFoundError('Return not found');
+  }
+  if (!RETURN_STATUS_TRANSITIONS[returnRequest.status].includes(toStatus)) {
+    throw new ConflictError(`Return cannot be ${toStatus} while ${returnRequest.status}`);
+  }
+  return returnRequest;
+};
+
+// Conditional update so two staff members cannot handle the same return twice
+const moveReturn = async (client, returnRequest, toStatus, data = {}) => {
+  const { count } = await client.returns.updateMany({
+    where: { id: returnRequest.id, status: returnRequest.status },
+    data: { ...data, status: toStatus }
+  });
+  if (count === 0) {
+    throw new ConflictError('Return was changed by someone else; reload and try again');
+  }
+};
+
+const getReturnedQuantity = async (orderItemId) => {
+  const result = await prisma.return_items.aggregate({
+    where: {
+      order_item_id: orderItemId,
+      returns: { status: { not: 'rejected' } }
+    },
+    _sum: { quantity: true }
+  });
+  return result._sum.quantity || 0;
+};
+
+// Open a return or exchange for items of a delivered order
+export const createReturnRequest = async (userId, { order_id, type, items, note }) => {
+  if (!RETURN_TYPES.includes(type)) {
+    throw new ValidationError(`Type must be one of: ${RETURN_TYPES.join(', ')}`);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('Choose at least one item to return');
+  }
+
+  const order = await prisma.orders.findFirst({
+    where: { id: parseInt(order_id), user_id: userId },
+    include: {
+      order_items: {
+        include: { product_variants: true }
+      }
+    }
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+  if (order.status !== 'delivered') {
+    throw new ConflictError('Only delivered orders can be returned');
+  }
+
+  const delivered = await prisma.order_status_history.findFirst({
+    where: { order_id: order.id, to_status: 'delivered' },
+    orderBy: { created_at: 'desc' }
+  });
+  const deliveredAt = delivered?.created_at || order.created_at;
+  if (Date.now() - deliveredAt.getTime() > getReturnWindowDays() * 24 * 60 * 60 * 1000) {
+    throw new ConflictError(`Returns are only accepted within ${getReturnWindowDays()} days of delivery`);
+  }
+
+  const seen = new Set();
+  const returnItems = [];
+  for (const item of items) {
+    const orderItem = order.order_items.find(row => row.id === parseInt(item.order_item_id));
+    const quantity = parseInt(item.quantity);
+
+    if (!orderItem || seen.has(orderItem.id)) {
+      throw new ValidationError('Each item must be a different item of this order');
+    }
+    seen.add(orderItem.id);
+
+    if (!(quantity >= 1)) {
+      throw new ValidationError('Each item needs a quantity of at least 1');
+    }
+    if (!RETURN_REASONS.includes(item.reason)) {
+      throw new ValidationError(`Reason must be one of: ${RETURN_REASONS.join(', ')}`);
+    }
+
+    const returnedQuantity = await getReturnedQuantity(orderItem.id);
+    if (returnedQuantity + quantity > orderItem.quantity) {
+      throw new ValidationError(`Only ${orderItem.quantity - returnedQuantity} of "${orderItem.product_name}" can still be returned`);
+    }
+
+    let exchangeVariantId = null;
+    if (type === 'exchange') {
+      const exchangeVariant = item.exchange_variant_id && await prisma.product_variants.findUnique({
+        where: { id: parseInt(item.exchange_variant_id) }
+      });
+      // Exchanges are for another size or color of the same product
+      if (!exchangeVariant || exchangeVariant.product_id !== orderItem.product_variants?.product_id) {
+        throw new ValidationError(`Choose another variant of "${orderItem.product_name}" to exchange for`);
+      }
+      exchangeVariantId = exchangeVariant.id;
+    }
+
+    returnItems.push({
+      order_item_id: orderItem.id,
+      quantity,
+      reason: item.reason,
+      exchange_variant_id: exchangeVariantId
+    });
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const returnRequest = await tx.returns.create({
+      data: {
+        order_id: order.id,
+        user_id: userId,
+        type,
+        customer_note: note || null,
+        return_items: {
+          create: returnItems
+        }
+      },
+      include: returnInclude
+    });
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: userId,
+        action: 'REQUEST_RETURN',
+        description: `Requested ${type} #${returnRequest.id} for order #${order.id}`
+      }
+    });
+
+    return returnRequest;
+  });
+};
+
+export const approveReturn = async (returnId, { staffId, note = null }) => {
+  const returnRequest = await loadReturn(returnId, 'approved');
+
+  await prisma.$transaction(async (tx) => {
+    await moveReturn(tx, returnRequest, 'approved', {
+      approved_at: new Date(),
+      handled_by: staffId,
+      staff_note: note ?? returnRequest.staff_note
+    });
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: staffId,
+        action: 'APPROVE_RETURN',
+        description: `Approved ${returnRequest.type} #${returnId} for order #${returnRequest.order_id}`
+      }
+    });
+  });
+
+  return prisma.returns.findUnique({ where: { id: returnId }, include: returnInclude });
+};
+
+export const rejectReturn = async (returnId, { staffId, note }) => {
+  const returnRequest = await loadReturn(returnId, 'rejected');
+
+  await prisma.$transaction(async (tx) => {
+    await moveReturn(tx, returnRequest, 'rejected', {
+      resolved_at: new Date(),
+      handled_by: staffId,
+      staff_note: note
+    });
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: staffId,
+        action: 'REJECT_RETURN',
+        description: `Rejected ${returnRequest.type} #${returnId}: ${note}`
+      }
+    });
+  });
+
+  return prisma.returns.findUnique({ where: { id: returnId }, include: returnInclude });
+};
+
+// Ship the exchange variants free of charge as a new order linked to the return
+const createReplacementOrder = async (tx, returnRequest, staffId) => {
+  // The chosen variant may have been deleted since the exchange was requested
+  if (returnRequest.return_items.some(item => !item.exchange_variant)) {
+    throw new ConflictError('A variant chosen for this exchange no longer exists; receive it with refund_instead and refund it');
+  }
+
+  await decrementStock(tx, returnRequest.return_items.map(item => ({
+    variant_id: item.exchange_variant_id,
+    quantity: item.quantity
+  })));
+
+  const orderItems = [];
+  for (const item of returnRequest.return_items) {
+    const variant = item.exchange_variant;
+
+    orderItems.push({
+      variant_id: variant.id,
+      product_name: variant.products.name,
+      size: variant.size,
+      color: variant.color,
+      edition: variant.edition,
+      unit_price: 0,
+      quantity: item.quantity
+    });
+  }
+
+  const originalOrder = await tx.orders.findUnique({ where: { id: returnRequest.order_id } });
+
+  const replacement = await tx.orders.create({
+    data: {
+      ...copyShippingSnapshot(originalOrder),
+      shipping_method: originalOrder.shipping_method,
+      user_id: returnRequest.user_id,
+      total_amount: 0,
+      payment_method: `Exchange for order #${returnRequest.order_id}`,
+      is_paid: true,
+      paid_at: new Date(),
+      stock_taken_at: new Date(),
+      status: 'paid',
+      order_items: {
+        create: orderItems
+      }
+    }
+  });
+
+  await tx.order_status_history.create({
+    data: {
+      order_id: replacement.id,
+      to_status: 'paid',
+      changed_by: staffId,
+      note: `Replacement for return #${returnRequest.id}`
+    }
+  });
+
+  return replacement;
+};
+
+// Record that the goods came back, optionally restocking them; exchanges ship their replacement
+// here, unless refundInstead turns them into a return to be refunded
+export const receiveReturn = async (returnId, { staffId, restock = false, refundInstead = false, note = null }) => {
+  const returnRequest = await loadReturn(returnId, 'received');
+  const convertToReturn = returnRequest.type === 'exchange' && refundInstead;
+
+  await prisma.$transaction(async (tx) => {
+    for (const item of returnRequest.return_items) {
+      if (!restock || !item.order_items.variant_id) {
+        continue;
+      }
+      await tx.product_variants.update({
+        where: { id: item.order_items.variant_id },
+        data: { stock_qty: { increment: item.quantity } }
+      });
+      await tx.return_items.update({
+        where: { id: item.id },
+        data: { restocked_qty: item.quantity }
+      });
+    }
+
+    const data = {
+      received_at: new Date(),
+      handled_by: staffId,
+      staff_note: note ?? returnRequest.staff_note
+    };
+
+    if (convertToReturn) {
+      await moveReturn(tx, returnRequest, 'received', { ...data, type: 'return' });
+    } else if (returnRequest.type === 'exchange') {
+      await moveReturn(tx, returnRequest, 'received', data);
+      const replacement = await createReplacementOrder(tx, returnRequest, staffId);
+      await moveReturn(tx, { ...returnRequest, status: 'received' }, 'exchanged', {
+        replacement_order_id: replacement.id,
+        resolved_at: new Date()
+      });
+    } else {
+      await moveReturn(tx, returnRequest, 'received', data);
+    }
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: staffId,
+        action: 'RECEIVE_RETURN',
+        description: `Received ${returnRequest.type} #${returnId}${restock ? ' and restocked the items' : ''}${convertToReturn ? ' to be refunded instead' : ''}`
+      }
+    });
+  });
+
+  logger.info('Return received', { returnId, type: returnRequest.type, restock, convertToReturn });
+  return prisma.returns.findUnique({ where: { id: returnId }, include: returnInclude });
+};
+
+// What was paid for part of an order line, after its share of any coupon discount
+const paidCents = (orderItem, quantity) => {
+  const discountCents = Math.round(toCents(orderItem.discount_amount || 0) * quantity / orderItem.quantity);
+  return toCents(orderItem.unit_price) * quantity - discountCents;
+};
+
+// Value of the returned items at the price paid, plus their share of tax charged on top
+export const getReturnValue = (returnRequest, order) => {
+  const cents = returnRequest.return_items.reduce(
+    (sum, item) => sum + paidCents(item.order_items, item.quantity),
+    0
+  );
+  if (!order || order.tax_inclusive || !(toCents(order.tax_amount) > 0)) {
+    return fromCents(cents);
+  }
+
+  const subtotalCents = order.order_items.reduce(
+    (sum, item) => sum + paidCents(item, item.quantity),
+    0
+  );
+  return fromCents(cents + Math.round(toCents(order.tax_amount) * cents / subtotalCents));
+};
+
+// Refund a received return through the order's payments
+export const refundReturn = async (returnId, { staffId, amount, note = null }) => {
+  const returnRequest = await loadReturn(returnId, 'refunded');
+  if (returnRequest.type !== 'return') {
+    throw new ConflictError('Exchanges are not refunded');
+  }
+
+  const returnedOrder = await prisma.orders.findUnique({
+    where: { id: returnRequest.order_id },
+    include: { order_items: true }
+  });
+  const amountCents = toCents(amount ?? getReturnValue(returnRequest, returnedOrder));
+  if (!(amountCents > 0)) {
+    throw new ValidationError('Refund amount must be positive');
+  }
+
+  const payments = await prisma.payments.findMany({
+    where: {
+      order_id: returnRequest.order_id,
+      status: { in: ['succeeded', 'partially_refunded'] }
+    },
+    orderBy: { created_at: 'asc' }
+  });
+  const refundableCents = payments.reduce(
+    (sum, payment) => sum + toCents(payment.amount) - toCents(payment.amount_refunded),
+    0
+  );
+  if (amountCents > refundableCents) {
+    throw new ConflictError(`Only ${fromCents(refundableCents)} of this order can still be refunded`);
+  }
+
+  // Claim the return first so a double click cannot refund twice
+  await moveReturn(prisma, returnRequest, 'refunded', {
+    refund_amount: fromCents(amountCents),
+    resolved_at: new Date(),
+    handled_by: staffId,
+    staff_note: note ?? returnRequest.staff_note
+  });
+
+  let leftCents = amountCents;
+  try {
+    for (const payment of payments) {
+      const availableCents = toCents(payment.amount) - toCents(payment.amount_refunded);
+      const partCents = Math.min(availableCents, leftCents);
+      if (partCents <= 0) {
+        continue;
+      }
+      await refundPayment(payment.id, {
+        amount: fromCents(partCents),
+        reason: `Return #${returnId}`,
+        userId: staffId
+      });
+      leftCents -= partCents;
+    }
+  } catch (error) {
+    // Nothing was refunded yet: hand the return back; otherwise keep what went through
+    if (leftCents === amountCents) {
+      await prisma.returns.update({
+        where: { id: returnId },
+        data: { status: 'received', refund_amount: null, resolved_at: null }
+      });
+    } else {
+      await prisma.returns.update({
+        where: { id: returnId },
+        data: { refund_amount: fromCents(amountCents - leftCents) }
+      });
+    }
+    throw error;
+  }
+
+  // Nothing left to refund means the whole order was returned
+  const order = await prisma.orders.findUnique({ where: { id: returnRequest.order_id } });
+  if (refundableCents === amountCents && canTransition(order.status, 'refunded')) {
+    await transitionOrderStatus(order.id, 'refunded', {
+      changedBy: staffId,
+      note: `Fully refunded through return #${returnId}`
+    });
+  }
+
+  // Log activity
+  await prisma.activity_logs.create({
+    data: {
+      user_id: staffId,
+      action: 'REFUND_RETURN',
+      description: `Refunded ${fromCents(amountCents)} for return #${returnId} of order #${returnRequest.order_id}`
+    }
+  });
+
+  logger.info('Return refunded', { returnId, amountCents });
+  return prisma.returns.findUnique({ where: { id: returnId }, include: returnInclude });
+};
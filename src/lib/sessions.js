@@ -0,0 +1,183 @@
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { UnauthorizedError } from '../middleware/error.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+import { getUserAccess } from './permissions.js';
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque and only their hash is stored
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const generateRefreshToken = () => generateToken(48);
+
+const getClientInfo = (req) => ({
+  user_agent: req.get('User-Agent')?.slice(0, 255) || null,
+  ip_address: req.ip || null
+});
+
+export const signAccessToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: getAccessTokenTtl() }
+  );
+};
+
+const buildTokens = (session, refreshToken) => {
+  const token = signAccessToken(session.user_id, session.id);
+  return {
+    token,
+    refresh_token: refreshToken,
+    expires_at: new Date(jwt.decode(token).exp * 1000)
+  };
+};
+
+// Start a new session for a user and issue its first token pair
+export const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.sessions.create({
+    data: {
+      user_id: userId,
+      refresh_token_hash: hashToken(refreshToken),
+      expires_at: new Date(Date.now() + getRefreshTokenTtlMs()),
+      ...getClientInfo(req)
+    }
+  });
+
+  return { session, ...buildTokens(session, refreshToken) };
+};
+
+// Exchange a refresh token for a new token pair, invalidating the old refresh token
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.sessions.findUnique({
+    where: { refresh_token_hash: tokenHash }
+  });
+
+  if (!session) {
+    // A rotated-out token being replayed means it leaked, so kill the whole session
+    const compromised = await prisma.sessions.findFirst({
+      where: { previous_token_hash: tokenHash, revoked_at: null }
+    });
+
+    if (compromised) {
+      await revokeSession(compromised.id);
+      logger.warn('Refresh token reuse detected, session revoked', {
+        sessionId: compromised.id,
+        userId: compromised.user_id,
+        ip: req.ip
+      });
+    }
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  if (session.revoked_at || session.expires_at < new Date()) {
+    throw new UnauthorizedError('Session has expired or been revoked');
+  }
+
+  const newRefreshToken = generateRefreshToken();
+
+  // Conditional update so two concurrent refreshes with the same token cannot both win
+  const { count } = await prisma.sessions.updateMany({
+    where: {
+      id: session.id,
+      refresh_token_hash: tokenHash,
+      revoked_at: null
+    },
+    data: {
+      refresh_token_hash: hashToken(newRefreshToken),
+      previous_token_hash: tokenHash,
+      last_used_at: new Date(),
+      expires_at: new Date(Date.now() + getRefreshTokenTtlMs()),
+      ...getClientInfo(req)
+    }
+  });
+
+  if (count === 0) {
+    throw new UnauthorizedError('Invalid refresh token');
+  }
+
+  return { session, ...buildTokens(session, newRefreshToken) };
+};
+
+// Check that the session behind an access token is still live
+export const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await prisma.sessions.findUnique({
+    where: { id: sessionId }
+  });
+
+  if (!session || session.user_id !== userId || session.revoked_at || session.expires_at < new Date()) {
+    return null;
+  }
+
+  return session;
+};
+
+export const revokeSession = async (sessionId) => {
+  await prisma.sessions.updateMany({
+    where: { id: sessionId, revoked_at: null },
+    data: { revoked_at: new Date() }
+  });
+};
+
+// Revoke every live session of a user, optionally keeping the caller's own session
+export const revokeAllSessions = async (userId, { exceptSessionId, client = prisma } = {}) => {
+  const { count } = await client.sessions.updateMany({
+    where: {
+      user_id: userId,
+      revoked_at: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } })
+    },
+    data: { revoked_at: new Date() }
+  });
+
+  return count;
+};
+
+// Open a session for a fully authenticated user and build the login response payload
+export const startLoginSession = async (user, req, { method = 'password' } = {}) => {
+  const { session, token, refresh_token, expires_at } = await createSession(user.id, req);
+  const { roles, permissions } = await getUserAccess(user.id);
+
+  // Log activity
+  await prisma.activity_logs.create({
+    data: {
+      user_id: user.id,
+      action: 'LOGIN',
+      description: method === 'password'
+        ? 'User logged in successfully'
+        : `User logged in successfully (${method})`
+    }
+  });
+
+  logger.info('User logged in successfully', {
+    userId: user.id,
+    email: user.email,
+    roles,
+    sessionId: session.id,
+    method
+  });
+
+  return {
+    success: true,
+    token,
+    refresh_token,
+    expires_at,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      roles,
+      permissions,
+      email_verified_at: user.email_verified_at,
+      two_factor_enabled: !!user.totp_enabled_at
+    }
+  };
+};
@@ -0,0 +1,223 @@
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { ConflictError, NotFoundError, ValidationError } from '../middleware/error.js';
+import { transitionOrderStatus } from './orderStatus.js';
+
+// Orders that can still get shipments
+const SHIPPABLE_STATUSES = ['paid', 'processing', 'shipped'];
+
+export const shipmentInclude = {
+  shipment_items: {
+    include: {
+      order_items: {
+        select: { id: true, product_name: true, size: true, color: true, edition: true }
+      }
+    }
+  }
+};
+
+const parseDate = (value, field) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null) {
+    return null;
+  }
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ValidationError(`${field} must be a valid date`);
+  }
+  return date;
+};
+
+const parseText = (value, maxLength) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  const text = value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+// Quantity of each order item already in a shipment
+const getShippedQuantities = async (client, orderId) => {
+  const rows = await client.shipment_items.groupBy({
+    by: ['order_item_id'],
+    where: { shipments: { order_id: orderId } },
+    _sum: { quantity: true }
+  });
+  return Object.fromEntries(rows.map(row => [row.order_item_id, row._sum.quantity || 0]));
+};
+
+// Move the order along once its shipments say so: processing after the first shipment,
+// shipped once every item has left, delivered once every shipment has arrived
+export const syncOrderFulfilment = async (client, orderId, changedBy = null) => {
+  const order = await client.orders.findUnique({
+    where: { id: orderId },
+    include: {
+      order_items: true,
+      shipments: {
+        include: { shipment_items: true }
+      }
+    }
+  });
+
+  const shipped = {};
+  for (const shipment of order.shipments.filter(item => item.shipped_at)) {
+    for (const item of shipment.shipment_items) {
+      shipped[item.order_item_id] = (shipped[item.order_item_id] || 0) + item.quantity;
+    }
+  }
+
+  const anyShipped = Object.keys(shipped).length > 0;
+  const allShipped = order.order_items.every(item => (shipped[item.id] || 0) >= item.quantity);
+  const allDelivered = allShipped && order.shipments.every(shipment => !shipment.shipped_at || shipment.delivered_at);
+
+  const steps = [];
+  if (allShipped && ['paid', 'processing'].includes(order.status)) {
+    steps.push(['shipped', 'All items shipped']);
+  } else if (anyShipped && order.status === 'paid') {
+    steps.push(['processing', 'First shipment sent']);
+  }
+  if (allDelivered && (order.status === 'shipped' || steps[0]?.[0] === 'shipped')) {
+    steps.push(['delivered', 'All shipments delivered']);
+  }
+
+  for (const [status, note] of steps) {
+    await transitionOrderStatus(orderId, status, { changedBy, note, client });
+  }
+  return steps.map(([status]) => status);
+};
+
+// Ship some or all of the remaining items of a paid order; items default to everything not yet shipped
+export const createShipment = async (orderId, { carrier, tracking_number, tracking_url, items, shipped_at }, staffId) => {
+  const shipmentCarrier = parseText(carrier, 50);
+  if (!shipmentCarrier) {
+    throw new ValidationError('Carrier is required');
+  }
+  const shippedAt = parseDate(shipped_at, 'Shipped at') ?? new Date();
+
+  return prisma.$transaction(async (tx) => {
+    const order = await tx.orders.findUnique({
+      where: { id: orderId },
+      include: { order_items: true }
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+    if (!SHIPPABLE_STATUSES.includes(order.status)) {
+      throw new ConflictError(`Cannot ship an order that is ${order.status}`);
+    }
+
+    const shippedQuantities = await getShippedQuantities(tx, orderId);
+    const remaining = order.order_items
+      .map(item => ({ item, quantity: item.quantity - (shippedQuantities[item.id] || 0) }))
+      .filter(({ quantity }) => quantity > 0);
+
+    let shipmentItems;
+    if (items === undefined) {
+      shipmentItems = remaining.map(({ item, quantity }) => ({ order_item_id: item.id, quantity }));
+    } else {
+      if (!Array.isArray(items) || items.length === 0) {
+        throw new ValidationError('Items must be a non-empty array of order_item_id and quantity');
+      }
+      shipmentItems = items.map(entry => {
+        const orderItemId = parseInt(entry.order_item_id);
+        const quantity = parseInt(entry.quantity);
+        const left = remaining.find(({ item }) => item.id === orderItemId);
+
+        if (!left) {
+          throw new ValidationError(`Order item #${entry.order_item_id} is not part of this order or has already shipped`);
+        }
+        if (!(quantity >= 1) || quantity > left.quantity) {
+          throw new ValidationError(`Quantity for "${left.item.product_name}" must be between 1 and ${left.quantity}`);
+        }
+        return { order_item_id: orderItemId, quantity };
+      });
+
+      if (new Set(shipmentItems.map(item => item.order_item_id)).size !== shipmentItems.length) {
+        throw new ValidationError('Each order item may only be listed once');
+      }
+    }
+
+    if (shipmentItems.length === 0) {
+      throw new ConflictError('Every item of this order has already shipped');
+    }
+
+    const shipment = await tx.shipments.create({
+      data: {
+        order_id: orderId,
+        carrier: shipmentCarrier,
+        tracking_number: parseText(tracking_number, 100) ?? null,
+        tracking_url: parseText(tracking_url, 500) ?? null,
+        shipped_at: shippedAt,
+        created_by: staffId,
+        shipment_items: {
+          create: shipmentItems
+        }
+      }
+    });
+
+    await syncOrderFulfilment(tx, orderId, staffId);
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: staffId,
+        action: 'CREATE_SHIPMENT',
+        description: `Created shipment #${shipment.id} for order #${orderId} via ${shipmentCarrier}`
+      }
+    });
+
+    logger.info('Shipment created', { orderId, shipmentId: shipment.id, itemCount: shipmentItems.length });
+    return tx.shipments.findUnique({ where: { id: shipment.id }, include: shipmentInclude });
+  });
+};
+
+// Change carrier or tracking details, or record shipping and delivery times
+export const updateShipment = async (shipmentId, { carrier, tracking_number, tracking_url, shipped_at, delivered_at }, staffId) => {
+  const data = {
+    carrier: parseText(carrier, 50),
+    tracking_number: parseText(tracking_number, 100),
+    tracking_url: parseText(tracking_url, 500),
+    shipped_at: parseDate(shipped_at, 'Shipped at'),
+    delivered_at: parseDate(delivered_at, 'Delivered at')
+  };
+  if (carrier !== undefined && !data.carrier) {
+    throw new ValidationError('Carrier cannot be empty');
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const shipment = await tx.shipments.findUnique({
+      where: { id: shipmentId }
+    });
+
+    if (!shipment) {
+      throw new NotFoundError('Shipment not found');
+    }
+
+    const shippedAt = data.shipped_at === undefined ? shipment.shipped_at : data.shipped_at;
+    const deliveredAt = data.delivered_at === undefined ? shipment.delivered_at : data.delivered_at;
+    if (deliveredAt && (!shippedAt || deliveredAt < shippedAt)) {
+      throw new ValidationError('A shipment cannot be delivered before it has shipped');
+    }
+
+    await tx.shipments.update({
+      where: { id: shipmentId },
+      data: { ...data, updated_at: new Date() }
+    });
+
+    await syncOrderFulfilment(tx, shipment.order_id, staffId);
+
+    // Log activity
+    await tx.activity_logs.create({
+      data: {
+        user_id: staffId,
+        action: 'UPDATE_SHIPMENT',
+        description: `Updated shipment #${shipmentId} of order #${shipment.order_id}`
+      }
+    });
+
+    return tx.shipments.findUnique({ where: { id: shipmentId }, include: shipmentInclude });
+  });
+};
@@ -0,0 +1,199 @@
+import prisma from './prisma.js';
+import { ValidationError } from '../middleware/error.js';
+import { toCents, fromCents } from '../utils/money.js';
+import { lineCents } from './pricing.js';
+
+export const SHIPPING_METHODS = ['standard', 'express', 'pickup'];
+
+// What a rate's min_value/max_value range is measured in
+export const RATE_BASES = ['flat', 'weight', 'item_count', 'subtotal'];
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Most specific active zone for an address: matching state, then country, then a zone without countries
+export const findShippingZone = async ({ country, state }) => {
+  const zones = await prisma.shipping_zones.findMany({
+    where: { is_active: true },
+    include: {
+      shipping_rates: {
+        where: { is_active: true }
+      }
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  const matchesCountry = zone => zone.countries.some(item => normalize(item) === normalize(country));
+  const matchesState = zone => zone.states.some(item => normalize(item) === normalize(state));
+
+  return zones.find(zone => matchesCountry(zone) && matchesState(zone))
+    || zones.find(zone => matchesCountry(zone) && zone.states.length === 0)
+    || zones.find(zone => zone.countries.length === 0)
+    || null;
+};
+
+// Subtotal after category discounts, weight and item count of { variant, quantity } pairs;
+// variants should include products.categories
+export const summarizeItems = (items) => {
+  return items.reduce((summary, { variant, quantity }) => ({
+    subtotalCents: summary.subtotalCents + lineCents(variant, quantity),
+    weightGrams: summary.weightGrams + (variant.weight_grams || 0) * quantity,
+    itemCount: summary.itemCount + quantity
+  }), { subtotalCents: 0, weightGrams: 0, itemCount: 0 });
+};
+
+const getBasisValue = (rate, summary) => {
+  switch (rate.basis) {
+    case 'weight':
+      return summary.weightGrams;
+    case 'item_count':
+      return summary.itemCount;
+    case 'subtotal':
+      return summary.subtotalCents / 100;
+    default:
+      return 0;
+  }
+};
+
+const rateApplies = (rate, summary) => {
+  if (rate.basis === 'flat') {
+    return true;
+  }
+  const value = getBasisValue(rate, summary);
+  return value >= Number(rate.min_value) && (rate.max_value === null || value < Number(rate.max_value));
+};
+
+// The cheapest applicable rate of every method the zone offers for these items
+export const getShippingOptions = (zone, summary) => {
+  const options = {};
+
+  for (const rate of zone?.shipping_rates || []) {
+    if (!rateApplies(rate, summary)) {
+      continue;
+    }
+
+    const free = rate.free_over !== null && summary.subtotalCents >= toCents(rate.free_over);
+    const costCents = free ? 0 : toCents(rate.price);
+
+    if (!options[rate.method] || costCents < options[rate.method].costCents) {
+      options[rate.method] = { rate, costCents, free };
+    }
+  }
+
+  return Object.values(options)
+    .sort((a, b) => a.costCents - b.costCents)
+    .map(({ rate, costCents, free }) => ({
+      rate_id: rate.id,
+      method: rate.method,
+      name: rate.name,
+      cost: fromCents(costCents),
+      free
+    }));
+};
+
+// Price the chosen method for an order, or the cheapest one when none was chosen
+export const quoteShipping = async (address, items, method) => {
+  const zone = await findShippingZone({ country: address.shipping_country, state: address.shipping_state });
+  const options = getShippingOptions(zone, summarizeItems(items));
+
+  if (options.length === 0) {
+    throw new ValidationError('We do not ship these items to this address');
+  }
+
+  const option = method ? options.find(item => item.method === method) : options[0];
+  if (!option) {
+    throw new ValidationError(`Shipping method must be one of: ${options.map(item => item.method).join(', ')}`);
+  }
+  return option;
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : [value]).map(item => String(item).trim()).filter(Boolean);
+};
+
+const toAmount = (value, field, { optional = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    if (optional) {
+      return null;
+    }
+    throw new ValidationError(`${field} is required`);
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new ValidationError(`${field} must be a non-negative number`);
+  }
+  return amount;
+};
+
+// Checked data for creating or updating a zone; partial when updating
+export const parseZoneInput = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      throw new ValidationError('Zone name is required');
+    }
+    data.name = String(body.name).trim().slice(0, 100);
+  }
+  if (!partial || body.countries !== undefined) {
+    data.countries = toList(body.countries);
+  }
+  if (!partial || body.states !== undefined) {
+    data.states = toList(body.states);
+  }
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true;
+  }
+  if (data.states?.length > 0 && data.countries?.length === 0) {
+    throw new ValidationError('States can only be used together with countries');
+  }
+
+  return data;
+};
+
+// Checked data for creating or updating a rate; partial when updating
+export const parseRateInput = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (!partial || body.method !== undefined) {
+    if (!SHIPPING_METHODS.includes(body.method)) {
+      throw new ValidationError(`Method must be one of: ${SHIPPING_METHODS.join(', ')}`);
+    }
+    data.method = body.method;
+  }
+  if (!partial || body.name !== undefined) {
+    data.name = String(body.name || data.method || '').trim().slice(0, 100) || null;
+    if (!data.name) {
+      throw new ValidationError('Rate name is required');
+    }
+  }
+  if (!partial || body.basis !== undefined) {
+    const basis = body.basis || 'flat';
+    if (!RATE_BASES.includes(basis)) {
+      throw new ValidationError(`Basis must be one of: ${RATE_BASES.join(', ')}`);
+    }
+    data.basis = basis;
+  }
+  if (!partial || body.price !== undefined) {
+    data.price = toAmount(body.price, 'Price');
+  }
+  if (!partial || body.min_value !== undefined) {
+    data.min_value = toAmount(body.min_value, 'Minimum value', { optional: true }) ?? 0;
+  }
+  if (!partial || body.max_value !== undefined) {
+    data.max_value = toAmount(body.max_value, 'Maximum value', { optional: true });
+  }
+  if (!partial || body.free_over !== undefined) {
+    data.free_over = toAmount(body.free_over, 'Free shipping threshold', { optional: true });
+  }
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true;
+  }
+  if (data.max_value !== null && data.max_value !== undefined && data.max_value <= (data.min_value ?? 0)) {
+    throw new ValidationError('Maximum value must be greater than the minimum value');
+  }
+
+  return data;
+};
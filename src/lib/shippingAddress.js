@@ -0,0 +1,65 @@
+import prisma from './prisma.js';
+import { ValidationError } from '../middleware/error.js';
+
+const ADDRESS_FIELDS = ['street', 'city', 'state', 'country', 'postal_code'];
+
+const clean = (value, maxLength) => {
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+};
+
+const checkAddress = (address) => {
+  const missing = ADDRESS_FIELDS.filter(field => !clean(address[field], 255));
+  if (missing.length > 0) {
+    throw new ValidationError(`Shipping address is missing: ${missing.join(', ')}`);
+  }
+  if (String(address.postal_code).trim().length > 20) {
+    throw new ValidationError('Invalid postal code format');
+  }
+};
+
+// Resolve a saved address_id, an inline shipping_address or the default address into
+// the columns copied onto the order; the copy never changes when the address is edited
+export const buildShippingSnapshot = async (user, { address_id, shipping_address, phone } = {}) => {
+  let address;
+
+  if (shipping_address) {
+    if (typeof shipping_address !== 'object') {
+      throw new ValidationError('Shipping address must be an object');
+    }
+    checkAddress(shipping_address);
+    address = shipping_address;
+  } else {
+    address = await prisma.addresses.findFirst({
+      where: address_id
+        ? { id: parseInt(address_id), user_id: user.id }
+        : { user_id: user.id, is_default: true }
+    });
+    if (!address) {
+      throw new ValidationError(address_id ? 'Address not found' : 'Choose a shipping address or set a default one');
+    }
+  }
+
+  return {
+    shipping_name: clean(shipping_address?.name, 100) || user.name,
+    shipping_phone: clean(shipping_address?.phone ?? phone, 30),
+    contact_email: user.email,
+    shipping_street: clean(address.street, 255),
+    shipping_city: clean(address.city, 100),
+    shipping_state: clean(address.state, 100),
+    shipping_country: clean(address.country, 100),
+    shipping_postal_code: clean(address.postal_code, 20)
+  };
+};
+
+// The snapshot columns of an existing order, e.g. to ship a replacement to the same place
+export const copyShippingSnapshot = (order) => ({
+  shipping_name: order.shipping_name,
+  shipping_phone: order.shipping_phone,
+  contact_email: order.contact_email,
+  shipping_street: order.shipping_street,
+  shipping_city: order.shipping_city,
+  shipping_state: order.shipping_state,
+  shipping_country: order.shipping_country,
+  shipping_postal_code: order.shipping_postal_code
+});
@@ -0,0 +1,249 @@
+import { Prisma } from '@prisma/client';
+import prisma from './prisma.js';
+import logger from './logger.js';
+import { InsufficientStockError, ValidationError } from '../middleware/error.js';
+import { lockOrder } from './orderStatus.js';
+
+const getReservationTtlMs = () => (parseInt(process.env.RESERVATION_TTL_MINUTES) || 15) * 60 * 1000;
+// Most one customer can hold of a variant, so a single account cannot tie up a whole drop
+const getMaxReservedQuantity = () => parseInt(process.env.RESERVATION_MAX_QUANTITY) || 10;
+
+// Requested quantity per variant, with repeated variants merged
+const sumByVariant = (lines) => {
+  const quantities = new Map();
+  for (const line of lines) {
+    quantities.set(line.variant_id, (quantities.get(line.variant_id) || 0) + line.quantity);
+  }
+  return quantities;
+};
+
+// A customer's own checkout hold does not count against what they are buying
+const isCheckoutHoldOf = (userId) => (reservation) => reservation.user_id === userId && reservation.order_id === null;
+
+// Lock the variant rows until the transaction ends so availability cannot change underneath us.
+// Always in id order, so two checkouts sharing variants cannot deadlock.
+const lockVariants = async (tx, variantIds) => {
+  const ids = [...variantIds].sort((a, b) => a - b);
+  if (ids.length > 0) {
+    await tx.$queryRaw`SELECT id FROM product_variants WHERE id IN (${Prisma.join(ids)}) ORDER BY id FOR UPDATE`;
+  }
+};
+
+// stock_qty minus unexpired reservations, by variant id; reservations matching `ignore` are left out
+const loadAvailableStock = async (client, variantIds, ignore = () => false) => {
+  const ids = [...variantIds];
+  const [variants, reservations] = await Promise.all([
+    client.product_variants.findMany({
+      where: { id: { in: ids } },
+      include: { products: { select: { name: true } } }
+    }),
+    client.stock_reservations.findMany({
+      where: { variant_id: { in: ids }, expires_at: { gt: new Date() } }
+    })
+  ]);
+
+  const available = new Map(variants.map(variant => [variant.id, variant.stock_qty]));
+  for (const reservation of reservations.filter(reservation => !ignore(reservation))) {
+    available.set(reservation.variant_id, available.get(reservation.variant_id) - reservation.quantity);
+  }
+  for (const [variantId, quantity] of available) {
+    available.set(variantId, Math.max(quantity, 0));
+  }
+
+  return { variants, available };
+};
+
+// Variants of the requested quantities that are not available
+const findShortages = ({ variants, available }, quantities) => {
+  const shortages = [];
+  for (const [variantId, quantity] of quantities) {
+    if ((available.get(variantId) || 0) < quantity) {
+      const variant = variants.find(item => item.id === variantId);
+      shortages.push({
+        variant_id: variantId,
+        product_name: variant?.products?.name || null,
+        size: variant?.size || null,
+        color: variant?.color || null,
+        requested: quantity,
+        available: available.get(variantId) || 0
+      });
+    }
+  }
+  return shortages;
+};
+
+// What can still be bought of each variant; pass userId to not count that user's checkout hold
+export const getAvailableStock = async (variantIds, { userId = null, client = prisma } = {}) => {
+  const { available } = await loadAvailableStock(
+    client,
+    new Set(variantIds),
+    userId ? isCheckoutHoldOf(userId) : undefined
+  );
+  return available;
+};
+
+// Products as returned by the catalog, with available_qty on every variant
+export const withAvailableStock = async (products) => {
+  const available = await getAvailableStock(
+    products.flatMap(product => product.product_variants.map(variant => variant.id))
+  );
+  return products.map(product => ({
+    ...product,
+    product_variants: product.product_variants.map(variant => ({
+      ...variant,
+      available_qty: available.get(variant.id) ?? 0
+    }))
+  }));
+};
+
+// Take stock for { variant_id, quantity } lines inside a transaction. The variant rows are
+// locked first, so concurrent checkouts cannot both take the last item; if any line falls
+// short the error lists all of them and the caller's transaction rolls back.
+export const decrementStock = async (tx, lines) => {
+  const quantities = sumByVariant(lines);
+  await lockVariants(tx, quantities.keys());
+
+  const shortages = findShortages(await loadAvailableStock(tx, quantities.keys()), quantities);
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+
+  for (const [variantId, quantity] of quantities) {
+    await tx.product_variants.update({
+      where: { id: variantId },
+      data: { stock_qty: { decrement: quantity } }
+    });
+  }
+};
+
+// Hold stock for a customer for RESERVATION_TTL_MINUTES. Without orderId this is the hold for
+// their current checkout and replaces the previous one; placing the order moves it onto the order.
+export const reserveStock = async (tx, userId, lines, { orderId = null } = {}) => {
+  const quantities = sumByVariant(lines);
+  const maxQuantity = getMaxReservedQuantity();
+  if ([...quantities.values()].some(quantity => quantity > maxQuantity)) {
+    throw new ValidationError(`You can buy at most ${maxQuantity} of each item`);
+  }
+
+  await lockVariants(tx, quantities.keys());
+
+  const shortages = findShortages(
+    await loadAvailableStock(tx, quantities.keys(), isCheckoutHoldOf(userId)),
+    quantities
+  );
+  if (shortages.length > 0) {
+    throw new InsufficientStockError(shortages);
+  }
+
+  await tx.stock_reservations.deleteMany({
+    where: { user_id: userId, order_id: null }
+  });
+
+  const expiresAt = new Date(Date.now() + getReservationTtlMs());
+  await tx.stock_reservations.createMany({
+    data: [...quantities].map(([variantId, quantity]) => ({
+      user_id: userId,
+      variant_id: variantId,
+      order_id: orderId,
+      quantity,
+      expires_at: expiresAt
+    }))
+  });
+
+  return expiresAt;
+};
+
+// Turn an order's reservations into a permanent decrement once it has been paid for; safe to
+// call again. Payment is not refused when the hold had already expired and the stock was sold
+// in the meantime: the order takes what is left, stock never goes below zero, and what is
+// missing is stored in stock_shortage for staff.
+export const commitOrderStock = async (tx, orderId) => {
+  const order = await lockOrder(tx, orderId);
+  if (order.stock_taken_at || order.status === 'cancelled') {
+    return false;
+  }
+
+  const quantities = sumByVariant(order.order_items.filter(item => item.variant_id));
+  await lockVariants(tx, quantities.keys());
+
+  const shortages = [];
+  for (const [variantId, quantity] of quantities) {
+    const { count } = await tx.product_variants.updateMany({
+      where: { id: variantId, stock_qty: { gte: quantity } },
+      data: { stock_qty: { decrement: quantity } }
+    });
+    if (count > 0) {
+      continue;
+    }
+
+    const variant = await tx.product_variants.findUnique({
+      where: { id: variantId },
+      include: { products: { select: { name: true } } }
+    });
+    const available = Math.max(variant?.stock_qty || 0, 0);
+    if (available > 0) {
+      await tx.product_variants.update({
+        where: { id: variantId },
+        data: { stock_qty: { decrement: available } }
+      });
+    }
+    shortages.push({
+      variant_id: variantId,
+      product_name: variant?.products?.name || null,
+      size: variant?.size || null,
+      color: variant?.color || null,
+      requested: quantity,
+      available
+    });
+  }
+
+  if (shortages.length > 0) {
+    logger.warn('Paid order is short of stock', { orderId, variants: shortages });
+    await tx.activity_logs.create({
+      data: {
+        user_id: order.user_id,
+        action: 'STOCK_OVERSOLD',
+        description: `Order #${orderId} was paid after its reservation expired and is short of ${shortages.length} variant(s)`
+      }
+    });
+  }
+
+  await tx.stock_reservations.deleteMany({ where: { order_id: orderId } });
+  await tx.orders.update({
+    where: { id: orderId },
+    data: {
+      stock_taken_at: new Date(),
+      stock_shortage: shortages.length > 0 ? shortages : undefined
+    }
+  });
+
+  return true;
+};
+
+// What commitOrderStock took from stock for an order, by variant id
+export const getTakenStock = (order) => {
+  if (!order.stock_taken_at) {
+    return new Map();
+  }
+  const taken = sumByVariant(order.order_items.filter(item => item.variant_id));
+  for (const shortage of order.stock_shortage || []) {
+    taken.set(shortage.variant_id, shortage.available);
+  }
+  return taken;
+};
+
+// Drop the holds of an order that will not be paid
+export const releaseOrderReservations = (client, orderId) => {
+  return client.stock_reservations.deleteMany({ where: { order_id: orderId } });
+};
+
+// Expired reservations no longer count towards availability; this removes the rows
+export const releaseExpiredReservations = async () => {
+  const { count } = await prisma.stock_reservations.deleteMany({
+    where: { expires_at: { lte: new Date() } }
+  });
+  if (count > 0) {
+    logger.info('Expired stock reservations released', { count });
+  }
+  return count;
+};
@@ -0,0 +1,28 @@
+import logger from './logger.js';
+import { releaseExpiredReservations } from './stock.js';
+import { releaseExpiredIdempotencyKeys } from '../middleware/idempotency.js';
+
+const getSweepIntervalMs = () => (parseInt(process.env.RESERVATION_SWEEP_INTERVAL_SECONDS) || 60) * 1000;
+
+// Rows that stop mattering after a while and would otherwise pile up
+const SWEEPS = {
+  reservations: releaseExpiredReservations,
+  idempotency_keys: releaseExpiredIdempotencyKeys
+};
+
+// Sweep expired rows in the background for as long as the process runs
+export const startSweeper = () => {
+  const timer = setInterval(() => {
+    for (const [name, sweep] of Object.entries(SWEEPS)) {
+      sweep().catch(error => logger.error('Sweep error:', {
+        sweep: name,
+        error: error.message,
+        stack: error.stack
+      }));
+    }
+  }, getSweepIntervalMs());
+
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+  return timer;
+};
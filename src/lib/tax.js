@@ -0,0 +1,116 @@
+import prisma from './prisma.js';
+import { ValidationError } from '../middleware/error.js';
+import { toCents, fromCents } from '../utils/money.js';
+
+export const DEFAULT_TAX_CLASS = 'standard';
+
+const TAX_CLASS_PATTERN = /^[a-z0-9_]{1,30}$/;
+
+// With TAX_MODE=inclusive catalog prices already contain tax, which is only broken out
+export const isTaxInclusive = () => process.env.TAX_MODE === 'inclusive';
+
+export const isValidTaxClass = (taxClass) => TAX_CLASS_PATTERN.test(String(taxClass));
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Active rates for an address: country-wide ones plus those of its state
+export const findTaxRates = async ({ country, state }) => {
+  const rates = await prisma.tax_rates.findMany({
+    where: { is_active: true },
+    orderBy: { id: 'asc' }
+  });
+
+  return rates.filter(rate => normalize(rate.country) === normalize(country)
+    && (!rate.state || normalize(rate.state) === normalize(state)));
+};
+
+// Tax for { amountCents, taxClass } lines plus shipping; a class without rates in the region is exempt
+export const calculateTax = async (address, lines, shippingCents = 0) => {
+  const inclusive = isTaxInclusive();
+  const rates = address?.country ? await findTaxRates(address) : [];
+
+  // Stacked rates of one class share the tax contained in an inclusive price
+  const classRate = {};
+  for (const rate of rates) {
+    classRate[rate.tax_class] = (classRate[rate.tax_class] || 0) + Number(rate.rate);
+  }
+
+  const taxLines = [];
+  for (const rate of rates) {
+    let taxableCents = lines
+      .filter(line => (line.taxClass || DEFAULT_TAX_CLASS) === rate.tax_class)
+      .reduce((sum, line) => sum + line.amountCents, 0);
+    if (rate.applies_to_shipping) {
+      taxableCents += shippingCents;
+    }
+    if (taxableCents === 0) {
+      continue;
+    }
+
+    const amountCents = inclusive
+      ? Math.round(taxableCents * Number(rate.rate) / (1 + classRate[rate.tax_class]))
+      : Math.round(taxableCents * Number(rate.rate));
+
+    taxLines.push({
+      tax_rate_id: rate.id,
+      name: rate.name,
+      rate: rate.rate,
+      taxable_amount: fromCents(taxableCents),
+      amount: fromCents(amountCents)
+    });
+  }
+
+  const totalCents = taxLines.reduce((sum, line) => sum + toCents(line.amount), 0);
+
+  return {
+    inclusive,
+    amount: fromCents(totalCents),
+    // Only exclusive tax is added on top of the prices
+    added: fromCents(inclusive ? 0 : totalCents),
+    lines: taxLines
+  };
+};
+
+// Checked data for creating or updating a tax rate; partial when updating
+export const parseTaxRateInput = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim()) {
+      throw new ValidationError('Tax rate name is required');
+    }
+    data.name = String(body.name).trim().slice(0, 100);
+  }
+  if (!partial || body.country !== undefined) {
+    if (!body.country || !String(body.country).trim()) {
+      throw new ValidationError('Country is required');
+    }
+    data.country = String(body.country).trim().slice(0, 100);
+  }
+  if (!partial || body.state !== undefined) {
+    data.state = body.state ? String(body.state).trim().slice(0, 100) : null;
+  }
+  if (!partial || body.tax_class !== undefined) {
+    const taxClass = body.tax_class || DEFAULT_TAX_CLASS;
+    if (!isValidTaxClass(taxClass)) {
+      throw new ValidationError('Tax class may only contain lowercase letters, digits and underscores');
+    }
+    data.tax_class = taxClass;
+  }
+  if (!partial || body.rate !== undefined) {
+    const rate = Number(body.rate);
+    // Stored as a fraction: 0.0825 is 8.25%
+    if (!Number.isFinite(rate) || rate < 0 || rate >= 1) {
+      throw new ValidationError('Rate must be a fraction between 0 and 1, e.g. 0.0825 for 8.25%');
+    }
+    data.rate = rate;
+  }
+  if (body.applies_to_shipping !== undefined) {
+    data.applies_to_shipping = body.applies_to_shipping === true;
+  }
+  if (body.is_active !== undefined) {
+    data.is_active = body.is_active === true;
+  }
+
+  return data;
+};
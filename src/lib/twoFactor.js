@@ -0,0 +1,98 @@
+import jwt from 'jsonwebtoken';
+import prisma from './prisma.js';
+import { verifyCode } from './totp.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+
+export const isTwoFactorEnabled = (user) => !!user?.totp_enabled_at;
+
+// Short-lived proof that the password step passed; it is not an access token
+export const createLoginChallenge = (userId) => {
+  return jwt.sign(
+    { userId, purpose: '2fa_login' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+};
+
+export const verifyLoginChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    return decoded.purpose === '2fa_login' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// Replace all recovery codes of a user and return the new plain codes, shown only once
+export const generateRecoveryCodes = async (userId, client = prisma) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await client.recovery_codes.deleteMany({
+    where: { user_id: userId }
+  });
+  await client.recovery_codes.createMany({
+    data: codes.map(code => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code))
+    }))
+  });
+
+  return codes;
+};
+
+// Check a TOTP code, refusing to accept the same time step twice
+export const verifyTotpForUser = async (user, code, secret = user.totp_secret) => {
+  if (!secret) {
+    return false;
+  }
+
+  const step = verifyCode(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.users.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { totp_last_step: null },
+        { totp_last_step: { lt: step } }
+      ]
+    },
+    data: { totp_last_step: step }
+  });
+
+  return count === 1;
+};
+
+export const consumeRecoveryCode = async (userId, code) => {
+  const { count } = await prisma.recovery_codes.updateMany({
+    where: {
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+      used_at: null
+    },
+    data: { used_at: new Date() }
+  });
+
+  return count === 1;
+};
+
+// Accept either an authenticator code or a one-time recovery code
+export const verifySecondFactor = async (user, { code, recovery_code }) => {
+  if (code && await verifyTotpForUser(user, code)) {
+    return 'totp';
+  }
+  if (recovery_code && await consumeRecoveryCode(user.id, recovery_code)) {
+    return 'recovery_code';
+  }
+  return null;
+};
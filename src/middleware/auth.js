@@ -1,10 +1,52 @@
 import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
+import { findActiveSession } from '../lib/sessions.js';
+import { getUserAccess, hasAllPermissions } from '../lib/permissions.js';
+import { findActiveApiKey, getApiKeyAccess, recordApiKeyUse } from '../lib/apiKeys.js';
+import { isImpersonatedRequestAllowed, recordImpersonatedRequest } from '../lib/impersonation.js';
+
+// Integrations authenticate with an X-API-Key header instead of a user session
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await findActiveApiKey(key);
+
+  if (!apiKey) {
+    logger.warn('Authentication attempt with invalid API key', {
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid, expired or revoked'
+    });
+  }
+
+  // The key acts as its creator, limited to its scopes
+  const { users: user, ...keyData } = apiKey;
+  req.user = { ...user, ...await getApiKeyAccess(apiKey) };
+  req.apiKey = keyData;
+  req.authSession = null;
+
+  await recordApiKeyUse(apiKey, req);
+
+  logger.info('API key authenticated successfully', {
+    apiKeyId: apiKey.id,
+    userId: user.id,
+    path: req.path,
+    method: req.method
+  });
+  next();
+};
 
 // Authentication middleware
 export const authenticate = async (req, res, next) => {
   try {
+    const apiKey = req.header('X-API-Key');
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     // Get token from header
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
@@ -23,12 +65,29 @@ export const authenticate = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Reject tokens whose session was logged out or revoked;
+    // impersonation tokens live on the admin's session
+    const session = await findActiveSession(decoded.sessionId, decoded.impersonatorId || decoded.userId);
+
+    if (!session) {
+      logger.warn('Authentication attempt with revoked or expired session', {
+        userId: decoded.userId,
+        sessionId: decoded.sessionId,
+        path: req.path,
+        method: req.method
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     // Get user from database
     const user = await prisma.users.findUnique({
       where: { id: decoded.userId }
     });
 
-    if (!user) {
+    if (!user || user.deleted_at) {
       logger.warn('Authentication attempt with non-existent user', {
         userId: decoded.userId,
         path: req.path,
@@ -40,11 +99,17 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    // Add user to request
-    req.user = user;
+    // Add user, their roles and permissions, and session to request
+    req.user = { ...user, ...await getUserAccess(user.id) };
+    req.authSession = session;
+
+    if (decoded.impersonatorId) {
+      return await continueImpersonation(req, res, next, decoded);
+    }
+
     logger.info('User authenticated successfully', {
       userId: user.id,
-      role: user.role,
+      roles: req.user.roles,
       path: req.path,
       method: req.method
     });
@@ -64,12 +129,94 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
+// Support staff acting as a customer: req.user is the customer, req.impersonator the admin
+const continueImpersonation = async (req, res, next, decoded) => {
+  const admin = await prisma.users.findUnique({
+    where: { id: decoded.impersonatorId }
+  });
+  const adminAccess = admin ? await getUserAccess(admin.id) : null;
+
+  // Losing the permission ends every impersonation in progress
+  if (!adminAccess || !hasAllPermissions(adminAccess.permissions, ['users:impersonate'])) {
+    logger.warn('Impersonation token without impersonation permission', {
+      adminId: decoded.impersonatorId,
+      userId: decoded.userId
+    });
+    return res.status(401).json({
+      success: false,
+      message: 'Impersonation is no longer allowed'
+    });
+  }
+
+  req.impersonator = { ...admin, ...adminAccess };
+  req.impersonation = { allowWrite: !!decoded.allowWrite };
+
+  const allowed = isImpersonatedRequestAllowed(req, req.impersonation.allowWrite);
+  await recordImpersonatedRequest(req, { allowed });
+
+  if (!allowed) {
+    logger.warn('Write blocked during impersonation', {
+      adminId: admin.id,
+      userId: req.user.id,
+      path: req.path,
+      method: req.method
+    });
+    return res.status(403).json({
+      success: false,
+      message: 'This impersonation session is read-only'
+    });
+  }
+
+  logger.info('Impersonated request authenticated', {
+    adminId: admin.id,
+    userId: req.user.id,
+    path: req.path,
+    method: req.method
+  });
+  next();
+};
+
+// Account management and shopping need a real login; API keys are for integrations only,
+// so an admin's key cannot buy, pay or change a cart as that admin
+export const rejectApiKey = (req, res, next) => {
+  if (!req.header('X-API-Key')) {
+    return next();
+  }
+  logger.warn('API key used on customer route', {
+    path: req.path,
+    method: req.method,
+    ip: req.ip
+  });
+  res.status(403).json({
+    success: false,
+    message: 'API keys cannot be used on customer routes'
+  });
+};
+
+// Staff accounts may be required to use two-factor authentication;
+// API keys are exempt since they are issued from an already authorized admin session
+const rejectWithoutTwoFactor = (req, res) => {
+  if (process.env.REQUIRE_ADMIN_2FA !== 'true' || req.user.totp_enabled_at || req.apiKey) {
+    return false;
+  }
+  logger.warn('Admin authorization failed: two-factor not enrolled', {
+    userId: req.user.id,
+    path: req.path,
+    method: req.method
+  });
+  res.status(403).json({
+    success: false,
+    message: 'Access denied. Enable two-factor authentication to use admin features.'
+  });
+  return true;
+};
+
+// Admin authorization middleware: any staff role, i.e. at least one permission
 export const authorizeAdmin = (req, res, next) => {
-  if (req.user.role !== 'admin') {
+  if (req.user.permissions.length === 0) {
     logger.warn('Admin authorization failed', {
       userId: req.user.id,
-      role: req.user.role,
+      roles: req.user.roles,
       path: req.path,
       method: req.method
     });
@@ -78,6 +225,11 @@ export const authorizeAdmin = (req, res, next) => {
       message: 'Access denied. Admin privileges required.'
     });
   }
+
+  // With REQUIRE_ADMIN_2FA=true an admin password alone is not enough
+  if (rejectWithoutTwoFactor(req, res)) {
+    return;
+  }
   logger.info('Admin authorization successful', {
     userId: req.user.id,
     path: req.path,
@@ -86,26 +238,42 @@ export const authorizeAdmin = (req, res, next) => {
   next();
 };
 
-// Client authorization middleware
-export const authorizeClient = (req, res, next) => {
-  if (req.user.role !== 'client') {
-    logger.warn('Client authorization failed', {
+// Permission middleware: the user must hold every listed permission
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!hasAllPermissions(req.user.permissions, permissions)) {
+    logger.warn('Permission check failed', {
       userId: req.user.id,
-      role: req.user.role,
+      required: permissions,
+      roles: req.user.roles,
       path: req.path,
       method: req.method
     });
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Client privileges required.'
+      message: `Access denied. Missing permission: ${permissions.join(', ')}`
     });
   }
-  logger.info('Client authorization successful', {
+
+  if (rejectWithoutTwoFactor(req, res)) {
+    return;
+  }
+  next();
+};
+
+// Verified email middleware, disabled with REQUIRE_EMAIL_VERIFICATION=false
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false' || req.user.email_verified_at) {
+    return next();
+  }
+  logger.warn('Unverified email blocked', {
     userId: req.user.id,
     path: req.path,
     method: req.method
   });
-  next();
+  return res.status(403).json({
+    success: false,
+    message: 'Please verify your email address first'
+  });
 };
 
 // Optional authentication middleware
@@ -126,17 +294,23 @@ export const optionalAuth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Treat revoked sessions and impersonation tokens as anonymous
+    const session = decoded.impersonatorId
+      ? null
+      : await findActiveSession(decoded.sessionId, decoded.userId);
+
     // Get user from database
-    const user = await prisma.users.findUnique({
-      where: { id: decoded.userId }
-    });
+    const user = session
+      ? await prisma.users.findUnique({ where: { id: decoded.userId } })
+      : null;
 
     // Add user to request
-    req.user = user;
+    req.user = user ? { ...user, ...await getUserAccess(user.id) } : null;
+    req.authSession = user ? session : null;
     if (user) {
       logger.debug('Optional auth: User authenticated', {
         userId: user.id,
-        role: user.role,
+        roles: req.user.roles,
         path: req.path,
         method: req.method
       });
@@ -37,6 +37,10 @@ export const errorHandler = (err, req, res, next) => {
     statusCode = 409;
     message = 'Resource conflict';
     logger.warn('Conflict error:', errorLog);
+  } else if (err.name === 'InsufficientStockError') {
+    statusCode = 409;
+    message = err.message;
+    logger.warn('Insufficient stock error:', { ...errorLog, variants: err.variants });
   } else {
     logger.error('Unhandled error:', errorLog);
   }
@@ -44,6 +48,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     message,
+    variants: err.variants,
     error: process.env.NODE_ENV === 'development' ? err.message : undefined
   });
 };
@@ -98,4 +103,13 @@ export class ConflictError extends Error {
     super(message);
     this.name = 'ConflictError';
   }
-} 
\ No newline at end of file
+} 
+
+// Insufficient stock error class; lists every variant that could not be fulfilled
+export class InsufficientStockError extends ConflictError {
+  constructor(variants, message = 'Not enough stock for some items') {
+    super(message);
+    this.name = 'InsufficientStockError';
+    this.variants = variants;
+  }
+}
@@ -0,0 +1,150 @@
+import prisma from '../lib/prisma.js';
+import logger from '../lib/logger.js';
+import { hashToken } from '../utils/tokens.js';
+
+const MAX_KEY_LENGTH = 255;
+
+const getTtlMs = () => (parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// A request still unanswered after this long died without storing a response
+const getInFlightTimeoutMs = () => (parseInt(process.env.IDEMPOTENCY_IN_FLIGHT_MINUTES) || 5) * 60 * 1000;
+
+// Keys that can be used again: expired ones, and ones whose request never finished
+const reclaimableWhere = () => ({
+  OR: [
+    { expires_at: { lte: new Date() } },
+    { status_code: null, created_at: { lte: new Date(Date.now() - getInFlightTimeoutMs()) } }
+  ]
+});
+
+// Same endpoint, same target and same body give the same fingerprint
+const fingerprintRequest = (req) => hashToken(JSON.stringify([req.method, req.originalUrl, req.body ?? null]));
+
+// Claim the key for this request, or return the row of whoever claimed it first
+const claimKey = async (data) => {
+  try {
+    await prisma.idempotency_keys.create({ data });
+    return null;
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  const existing = await prisma.idempotency_keys.findUnique({
+    where: {
+      user_id_scope_key: {
+        user_id: data.user_id,
+        scope: data.scope,
+        key: data.key
+      }
+    }
+  });
+
+  if (existing) {
+    // Conditional, so of two retries racing for a reclaimable key only one gets it
+    const { count } = await prisma.idempotency_keys.deleteMany({
+      where: { id: existing.id, ...reclaimableWhere() }
+    });
+    if (count > 0) {
+      return claimKey(data);
+    }
+  }
+  return existing;
+};
+
+// Delete reclaimable keys so the table does not grow without bound
+export const releaseExpiredIdempotencyKeys = async () => {
+  const { count } = await prisma.idempotency_keys.deleteMany({
+    where: reclaimableWhere()
+  });
+  if (count > 0) {
+    logger.info('Expired idempotency keys deleted', { count });
+  }
+  return count;
+};
+
+// Honour an Idempotency-Key header: the first request runs, repeats get its stored response.
+// Must run after authenticate, since keys belong to the user who sent them.
+export const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.route.path}`;
+  const fingerprint = fingerprintRequest(req);
+
+  try {
+    const existing = await claimKey({
+      user_id: req.user.id,
+      scope,
+      key,
+      fingerprint,
+      expires_at: new Date(Date.now() + getTtlMs())
+    });
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        logger.warn('Idempotency key reused with a different request', { userId: req.user.id, scope });
+        return res.status(422).json({
+          success: false,
+          message: 'This Idempotency-Key was already used for a different request'
+        });
+      }
+      if (existing.status_code === null) {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      logger.info('Idempotent request replayed', { userId: req.user.id, scope });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.status_code).json(existing.response);
+    }
+  } catch (error) {
+    logger.error('Idempotency key error:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    return res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+
+  // Store the response before it goes out, so a retry right after it sees the result
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const where = {
+      user_id_scope_key: { user_id: req.user.id, scope, key }
+    };
+    // Server errors are not remembered, so the request can be retried
+    const store = res.statusCode >= 500
+      ? prisma.idempotency_keys.delete({ where })
+      : prisma.idempotency_keys.update({
+        where,
+        // Stored exactly as the client receives it
+        data: { status_code: res.statusCode, response: JSON.parse(JSON.stringify(body)) }
+      });
+
+    store
+      .catch(error => logger.error('Error storing idempotent response:', {
+        error: error.message,
+        userId: req.user.id,
+        scope
+      }))
+      .finally(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
@@ -1,5 +1,8 @@
 import { ValidationError } from './error.js';
 import logger from '../lib/logger.js';
+import { isValidLuhn, parseExpiry, isExpired } from '../utils/cards.js';
+import { isValidTaxClass } from '../lib/tax.js';
+import { isValidDiscountRate } from '../lib/pricing.js';
 
 // Validate user registration
 export const validateRegistration = (req, res, next) => {
@@ -341,17 +344,16 @@ export const validatePaymentMethod = (req, res, next) => {
   }
 
   // Validate card number
-  const cardNumberRegex = /^[0-9]{16}$/;
-  if (!cardNumberRegex.test(card_number.replace(/\s/g, ''))) {
-    logger.warn('Payment method validation failed: Invalid card number format', {
+  if (!isValidLuhn(card_number)) {
+    logger.warn('Payment method validation failed: Invalid card number', {
       userId: req.user?.id
     });
-    throw new ValidationError('Invalid card number format');
+    throw new ValidationError('Invalid card number');
   }
 
   // Validate expiry date
-  const expiryDateRegex = /^(0[1-9]|1[0-2])\/([0-9]{2})$/;
-  if (!expiryDateRegex.test(expiry_date)) {
+  const expiry = parseExpiry(expiry_date);
+  if (!expiry) {
     logger.warn('Payment method validation failed: Invalid expiry date format', {
       expiry_date,
       userId: req.user?.id
@@ -359,6 +361,14 @@ export const validatePaymentMethod = (req, res, next) => {
     throw new ValidationError('Invalid expiry date format (MM/YY)');
   }
 
+  if (isExpired(expiry)) {
+    logger.warn('Payment method validation failed: Card expired', {
+      expiry_date,
+      userId: req.user?.id
+    });
+    throw new ValidationError('Card has expired');
+  }
+
   // Validate card holder name
   if (card_holder_name.length < 3) {
     logger.warn('Payment method validation failed: Card holder name too short', {
@@ -417,7 +427,7 @@ export const validateReview = (req, res, next) => {
 
 // Validate category
 export const validateCategory = (req, res, next) => {
-  const { name, description } = req.body;
+  const { name, description, tax_class, discount } = req.body;
 
   // Check required fields
   if (!name) {
@@ -445,6 +455,24 @@ export const validateCategory = (req, res, next) => {
     throw new ValidationError('Description must be at least 10 characters long');
   }
 
+  // Validate tax class if provided
+  if (tax_class !== undefined && !isValidTaxClass(tax_class)) {
+    logger.warn('Category validation failed: Invalid tax class', {
+      tax_class,
+      userId: req.user?.id
+    });
+    throw new ValidationError('Tax class may only contain lowercase letters, digits and underscores');
+  }
+
+  // Validate discount if provided
+  if (discount !== undefined && discount !== null && !isValidDiscountRate(discount)) {
+    logger.warn('Category validation failed: Invalid discount', {
+      discount,
+      userId: req.user?.id
+    });
+    throw new ValidationError('Discount must be a fraction between 0 and 1, e.g. 0.10 for 10%');
+  }
+
   logger.debug('Category validation successful', {
     name,
     hasDescription: !!description,
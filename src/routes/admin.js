@@ -1,9 +1,23 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
-import { authenticate, authorizeAdmin } from '../middleware/auth.js';
+import { authenticate, authorizeAdmin, requirePermission } from '../middleware/auth.js';
 import { uploadImageToSupabase } from '../utils/imageUpload.js';
 import { deleteImageFromSupabase } from '../utils/imageDelete.js';
+import { revokeAllSessions } from '../lib/sessions.js';
+import { unlockAccount } from '../lib/loginThrottle.js';
+import { PERMISSIONS, isKnownPermission, hasAllPermissions, getUserAccess } from '../lib/permissions.js';
+import { createApiKey, isApiKeyActive } from '../lib/apiKeys.js';
+import { createImpersonationToken } from '../lib/impersonation.js';
+import { ORDER_STATUSES, REVENUE_STATUSES, isOrderStatus, transitionOrderStatus } from '../lib/orderStatus.js';
+import { cancelOrder } from '../lib/orderCancellation.js';
+import { markOrderPaidManually } from '../lib/payments.js';
+import { RETURN_STATUSES, returnInclude, approveReturn, rejectReturn, receiveReturn, refundReturn } from '../lib/returns.js';
+import { parseZoneInput, parseRateInput } from '../lib/shipping.js';
+import { parseTaxRateInput } from '../lib/tax.js';
+import { parseCouponInput, getCouponUsage } from '../lib/coupons.js';
+import { createShipment, updateShipment } from '../lib/shipments.js';
+import { renderPackingSlipPdf } from '../lib/orderDocuments.js';
 import multer from 'multer';
 
 const router = express.Router();
@@ -11,12 +25,16 @@ const router = express.Router();
 // Configure multer for memory storage
 const upload = multer({ storage: multer.memoryStorage() });
 
-// Apply authentication and authorization to all admin routes
+// Apply authentication and authorization to all admin routes;
+// each route additionally requires its own permission
 router.use(authenticate);
 router.use(authorizeAdmin);
 
+// Staff may only hand out permissions they hold themselves
+const canGrant = (req, permissions) => hasAllPermissions(req.user.permissions, permissions);
+
 // Get all users
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users:read'), async (req, res) => {
   try {
     const users = await prisma.users.findMany({
       select: {
@@ -24,15 +42,28 @@ router.get('/users', async (req, res) => {
         email: true,
         name: true,
         created_at: true,
-        role: true
+        locked_until: true,
+        deleted_at: true,
+        user_roles: {
+          select: {
+            roles: {
+              select: { name: true }
+            }
+          }
+        }
       }
     });
 
+    const data = users.map(({ user_roles, ...user }) => ({
+      ...user,
+      roles: user_roles.map(assignment => assignment.roles.name)
+    }));
+
     logger.info('Users fetched successfully', { count: users.length });
     res.json({
       success: true,
-      count: users.length,
-      data: users
+      count: data.length,
+      data
     });
   } catch (error) {
     logger.error('Error fetching users:', { error: error.message, stack: error.stack });
@@ -43,48 +74,233 @@ router.get('/users', async (req, res) => {
   }
 });
 
-// Update user role
-router.put('/users/:id/role', async (req, res) => {
+// Replace a user's roles
+router.put('/users/:id/roles', requirePermission('users:manage_roles'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { roles } = req.body;
+
+    if (!Array.isArray(roles)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Roles must be an array of role names'
+      });
+    }
+
+    if (userId === req.user.id) {
+      logger.warn('Attempt to change own roles', { userId });
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own roles'
+      });
+    }
+
+    const roleRecords = await prisma.roles.findMany({
+      where: { name: { in: roles } },
+      include: { role_permissions: true }
+    });
+
+    if (roleRecords.length !== new Set(roles).size) {
+      const found = roleRecords.map(role => role.name);
+      logger.warn('Invalid role update attempt', { userId, attemptedRoles: roles });
+      return res.status(400).json({
+        success: false,
+        message: `Unknown roles: ${roles.filter(role => !found.includes(role)).join(', ')}`
+      });
+    }
+
+    const grantedPermissions = roleRecords.flatMap(role => role.role_permissions.map(rp => rp.permission));
+    if (!canGrant(req, grantedPermissions)) {
+      logger.warn('Role assignment exceeding own permissions', { userId, attemptedRoles: roles, updatedBy: req.user.id });
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot assign roles with permissions you do not have'
+      });
+    }
+
+    // Replacing roles also takes the current ones away, which only someone holding all of them may do
+    const currentAccess = await getUserAccess(userId);
+    if (!canGrant(req, currentAccess.permissions)) {
+      logger.warn('Role change of user with more permissions', { userId, currentRoles: currentAccess.roles, updatedBy: req.user.id });
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot change the roles of a user with permissions you do not have'
+      });
+    }
+
+    const updatedUser = await prisma.$transaction(async (tx) => {
+      await tx.user_roles.deleteMany({
+        where: { user_id: userId }
+      });
+      await tx.user_roles.createMany({
+        data: roleRecords.map(role => ({
+          user_id: userId,
+          role_id: role.id,
+          assigned_by: req.user.id
+        }))
+      });
+
+      // Log activity
+      await tx.activity_logs.create({
+        data: {
+          user_id: req.user.id, // Admin's ID
+          action: 'UPDATE_USER_ROLE',
+          description: `Updated user ${userId} roles to [${roles.join(', ')}]`
+        }
+      });
+
+      return tx.users.findUniqueOrThrow({
+        where: { id: userId },
+        select: {
+          id: true,
+          email: true,
+          name: true
+        }
+      });
+    });
+
+    // Force the user to log in again so existing tokens can't outlive the old roles
+    const revokedSessions = await revokeAllSessions(userId);
+
+    logger.info('User roles updated successfully', { userId, newRoles: roles, updatedBy: req.user.id, revokedSessions });
+    res.json({
+      success: true,
+      data: {
+        ...updatedUser,
+        roles: roleRecords.map(role => role.name)
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating user roles:', { error: error.message, stack: error.stack, userId: req.params.id });
+    if (error.code === 'P2025' || error.code === 'P2003') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Unlock user account
+router.post('/users/:id/unlock', requirePermission('users:unlock'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const user = await unlockAccount(userId, req.user.id);
+
+    logger.info('User account unlocked successfully', { userId, unlockedBy: req.user.id });
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    logger.error('Error unlocking user account:', { error: error.message, stack: error.stack, userId: req.params.id });
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start an impersonation session as a customer
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), async (req, res) => {
   try {
     const userId = parseInt(req.params.id);
-    const { role } = req.body;
+    const allowWrite = req.body.allow_write === true;
+
+    // Needs the admin's own login session to bind the token to
+    if (!req.authSession) {
+      return res.status(403).json({
+        success: false,
+        message: 'Impersonation requires an interactive login'
+      });
+    }
+
+    if (allowWrite && !hasAllPermissions(req.user.permissions, ['users:impersonate_write'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Missing permission: users:impersonate_write'
+      });
+    }
 
-    // Validate role
-    if (role !== 'admin' && role !== 'client') {
-      logger.warn('Invalid role update attempt', { userId, attemptedRole: role });
+    if (userId === req.user.id) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid role. Must be either "admin" or "client"'
+        message: 'You cannot impersonate yourself'
       });
     }
 
-    const updatedUser = await prisma.users.update({
+    const user = await prisma.users.findUnique({
       where: { id: userId },
-      data: { role },
       select: {
         id: true,
         email: true,
         name: true,
-        role: true
+        deleted_at: true,
+        _count: {
+          select: { user_roles: true }
+        }
       }
     });
 
+    if (!user || user.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Staff accounts are off limits so impersonation cannot be used to gain permissions
+    if (user._count.user_roles > 0) {
+      logger.warn('Attempt to impersonate staff account', { userId, adminId: req.user.id });
+      return res.status(403).json({
+        success: false,
+        message: 'Only customer accounts can be impersonated'
+      });
+    }
+
+    const { token, expires_at } = createImpersonationToken({
+      userId,
+      adminId: req.user.id,
+      sessionId: req.authSession.id,
+      allowWrite
+    });
+
     // Log activity
     await prisma.activity_logs.create({
       data: {
-        user_id: req.user.id, // Admin's ID
-        action: 'UPDATE_USER_ROLE',
-        description: `Updated user ${userId} role to ${role}`
+        user_id: req.user.id,
+        action: 'IMPERSONATE_USER',
+        description: `Started ${allowWrite ? 'read-write' : 'read-only'} impersonation of ${user.email} (#${user.id})`
       }
     });
 
-    logger.info('User role updated successfully', { userId, newRole: role, updatedBy: req.user.id });
+    logger.info('Impersonation started', { userId, adminId: req.user.id, allowWrite });
     res.json({
       success: true,
-      data: updatedUser
+      data: {
+        token,
+        expires_at,
+        read_only: !allowWrite,
+        user: {
+          id: user.id,
+          email: user.email,
+          name: user.name
+        }
+      }
     });
   } catch (error) {
-    logger.error('Error updating user role:', { error: error.message, stack: error.stack, userId: req.params.id });
+    logger.error('Error starting impersonation:', { error: error.message, stack: error.stack, userId: req.params.id, adminId: req.user.id });
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -92,24 +308,41 @@ router.put('/users/:id/role', async (req, res) => {
   }
 });
 
-// Get all products
-router.get('/products', async (req, res) => {
+// Get permission catalogue
+router.get('/permissions', requirePermission('roles:manage'), (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+});
+
+// Get all roles
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
   try {
-    const products = await prisma.products.findMany({
+    const roles = await prisma.roles.findMany({
       include: {
-        categories: true,
-        product_variants: true
-      }
+        role_permissions: true,
+        _count: {
+          select: { user_roles: true }
+        }
+      },
+      orderBy: { id: 'asc' }
     });
 
-    logger.info('Products fetched successfully', { count: products.length });
+    const data = roles.map(({ role_permissions, _count, ...role }) => ({
+      ...role,
+      permissions: role_permissions.map(rp => rp.permission),
+      user_count: _count.user_roles
+    }));
+
+    logger.info('Roles fetched successfully', { count: data.length });
     res.json({
       success: true,
-      count: products.length,
-      data: products
+      count: data.length,
+      data
     });
   } catch (error) {
-    logger.error('Error fetching products:', { error: error.message, stack: error.stack });
+    logger.error('Error fetching roles:', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -117,87 +350,90 @@ router.get('/products', async (req, res) => {
   }
 });
 
-// Create product
-router.post('/products', upload.fields([
-  { name: 'main_image', maxCount: 1 },
-  { name: 'additional_images', maxCount: 5 }
-]), async (req, res) => {
-  try {
-    const {
-      name,
-      description,
-      base_price,
-      category_ids,
-      variants
-    } = req.body;
+// Validate the permission list of a role create/update request
+const validateRolePermissions = (req, res, permissions) => {
+  if (!Array.isArray(permissions)) {
+    res.status(400).json({
+      success: false,
+      message: 'Permissions must be an array'
+    });
+    return false;
+  }
 
-    // Parse JSON strings back to objects
-    const parsedCategoryIds = JSON.parse(category_ids);
-    const parsedVariants = JSON.parse(variants);
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (unknown.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown permissions: ${unknown.join(', ')}`
+    });
+    return false;
+  }
 
-    // Upload main image to Supabase
-    const mainImageFile = req.files['main_image'][0];
-    const mainImageFileName = `products/${Date.now()}-${name.toLowerCase().replace(/\s+/g, '-')}.jpg`;
-    const mainImageUrl = await uploadImageToSupabase(mainImageFile.buffer, mainImageFileName);
+  if (!canGrant(req, permissions)) {
+    logger.warn('Role change exceeding own permissions', { permissions, userId: req.user.id });
+    res.status(403).json({
+      success: false,
+      message: 'You cannot grant permissions you do not have'
+    });
+    return false;
+  }
 
-    // Upload additional images if any
-    let additionalImageUrls = [];
-    if (req.files['additional_images']) {
-      additionalImageUrls = await Promise.all(
-        req.files['additional_images'].map(async (file, index) => {
-          const fileName = `products/${Date.now()}-${index}-${name.toLowerCase().replace(/\s+/g, '-')}.jpg`;
-          return await uploadImageToSupabase(file.buffer, fileName);
-        })
-      );
+  return true;
+};
+
+// Create role
+router.post('/roles', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    if (!name || !/^[a-z][a-z0-9_]{1,49}$/.test(name)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name must be 2-50 lowercase letters, digits or underscores'
+      });
     }
 
-    const product = await prisma.products.create({
+    if (!validateRolePermissions(req, res, permissions)) {
+      return;
+    }
+
+    const role = await prisma.roles.create({
       data: {
         name,
         description,
-        base_price: parseFloat(base_price),
-        image_url: mainImageUrl,
-        category_id: parseInt(parsedCategoryIds[0]),
-        product_variants: {
-          create: parsedVariants.map(variant => ({
-            size: variant.size,
-            color: variant.color,
-            stock_qty: variant.stock_qty,
-            price: variant.price
-          }))
+        role_permissions: {
+          create: [...new Set(permissions)].map(permission => ({ permission }))
         }
       },
-      include: {
-        categories: true,
-        product_variants: true
-      }
+      include: { role_permissions: true }
     });
 
     // Log activity
     await prisma.activity_logs.create({
       data: {
         user_id: req.user.id,
-        action: 'CREATE_PRODUCT',
-        description: `Created product ${product.id}`
+        action: 'CREATE_ROLE',
+        description: `Created role ${role.name} with permissions [${permissions.join(', ')}]`
       }
     });
 
-    logger.info('Product created successfully', { 
-      productId: product.id, 
-      name: product.name,
-      createdBy: req.user.id,
-      variantCount: parsedVariants.length
-    });
+    logger.info('Role created successfully', { roleId: role.id, name, createdBy: req.user.id });
     res.status(201).json({
       success: true,
-      data: product
+      data: {
+        ...role,
+        role_permissions: undefined,
+        permissions: role.role_permissions.map(rp => rp.permission)
+      }
     });
   } catch (error) {
-    logger.error('Error creating product:', { 
-      error: error.message, 
-      stack: error.stack,
-      createdBy: req.user.id
-    });
+    logger.error('Error creating role:', { error: error.message, stack: error.stack, createdBy: req.user.id });
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Role name already exists'
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -205,99 +441,1353 @@ router.post('/products', upload.fields([
   }
 });
 
-// Update product
-router.put('/products/:id', async (req, res) => {
+// Update role
+router.put('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
   try {
-    const productId = parseInt(req.params.id);
-    const {
-      name,
-      description,
-      price,
-      category_ids,
-      variants,
-      main_image_base64,
-      images_base64
-    } = req.body;
+    const roleId = parseInt(req.params.id);
+    const { description, permissions } = req.body;
 
-    let imageUrl;
-    if (main_image_base64) {
-      // Upload new image to Supabase
-      const fileName = `products/${Date.now()}-${name.toLowerCase().replace(/\s+/g, '-')}.jpg`
-      imageUrl = await uploadImageToSupabase(main_image_base64, fileName)
+    const existingRole = await prisma.roles.findUnique({
+      where: { id: roleId },
+      include: { role_permissions: true }
+    });
+
+    if (!existingRole) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
     }
 
-    // Update product
-    const product = await prisma.products.update({
-      where: { id: productId },
-      data: {
-        name,
-        description,
-        price,
-        ...(imageUrl && { image_url: imageUrl }), // Only update image_url if new image was uploaded
-        categories: {
-          set: category_ids.map(id => ({ id: parseInt(id) }))
+    if (existingRole.is_system && permissions !== undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Permissions of built-in roles cannot be changed'
+      });
+    }
+
+    // Editing a role needs the permissions it has now as well as the new ones
+    const currentPermissions = existingRole.role_permissions.map(rp => rp.permission);
+    if (permissions !== undefined && (!validateRolePermissions(req, res, permissions) || !validateRolePermissions(req, res, currentPermissions))) {
+      return;
+    }
+
+    const role = await prisma.$transaction(async (tx) => {
+      if (permissions !== undefined) {
+        await tx.role_permissions.deleteMany({
+          where: { role_id: roleId }
+        });
+        await tx.role_permissions.createMany({
+          data: [...new Set(permissions)].map(permission => ({ role_id: roleId, permission }))
+        });
+      }
+
+      // Log activity
+      await tx.activity_logs.create({
+        data: {
+          user_id: req.user.id,
+          action: 'UPDATE_ROLE',
+          description: permissions !== undefined
+            ? `Updated role ${existingRole.name} permissions to [${permissions.join(', ')}]`
+            : `Updated role ${existingRole.name}`
         }
-      },
-      include: {
-        categories: true,
-        product_variants: true
+      });
+
+      return tx.roles.update({
+        where: { id: roleId },
+        data: { description },
+        include: { role_permissions: true }
+      });
+    });
+
+    logger.info('Role updated successfully', { roleId, updatedBy: req.user.id });
+    res.json({
+      success: true,
+      data: {
+        ...role,
+        role_permissions: undefined,
+        permissions: role.role_permissions.map(rp => rp.permission)
       }
     });
+  } catch (error) {
+    logger.error('Error updating role:', { error: error.message, stack: error.stack, roleId: req.params.id, updatedBy: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
 
-    // Update variants
-    for (const variant of variants) {
-      if (variant.id) {
-        // Update existing variant
-        await prisma.product_variants.update({
-          where: { id: variant.id },
-          data: {
-            sku: variant.sku,
-            size: variant.size,
-            color: variant.color,
-            stock_qty: variant.stock_qty,
-            price: variant.price
-          }
-        });
-      } else {
-        // Create new variant
-        await prisma.product_variants.create({
-          data: {
-            product_id: productId,
-            sku: variant.sku,
+// Delete role
+router.delete('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const roleId = parseInt(req.params.id);
+
+    const role = await prisma.roles.findUnique({
+      where: { id: roleId },
+      include: { role_permissions: true }
+    });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.is_system) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    if (!canGrant(req, role.role_permissions.map(rp => rp.permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot delete a role with permissions you do not have'
+      });
+    }
+
+    await prisma.roles.delete({
+      where: { id: roleId }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_ROLE',
+        description: `Deleted role ${role.name}`
+      }
+    });
+
+    logger.info('Role deleted successfully', { roleId, deletedBy: req.user.id });
+    res.json({
+      success: true,
+      message: 'Role deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting role:', { error: error.message, stack: error.stack, roleId: req.params.id, deletedBy: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Fields of an API key that are safe to return; never the hash
+const apiKeySelect = {
+  id: true,
+  name: true,
+  key_prefix: true,
+  scopes: true,
+  created_by: true,
+  created_at: true,
+  expires_at: true,
+  last_used_at: true,
+  revoked_at: true
+};
+
+// Get all API keys
+router.get('/api-keys', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await prisma.api_keys.findMany({
+      select: {
+        ...apiKeySelect,
+        users: {
+          select: { email: true, name: true }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    const data = apiKeys.map(({ users, ...apiKey }) => ({
+      ...apiKey,
+      created_by_email: users.email,
+      active: isApiKeyActive(apiKey)
+    }));
+
+    logger.info('API keys fetched successfully', { count: data.length });
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    logger.error('Error fetching API keys:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create API key
+router.post('/api-keys', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+
+    // Keys must be issued from a real login, not by another key
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        message: 'API keys cannot create other API keys'
+      });
+    }
+
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name is required (max 100 characters)'
+      });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scopes must be a non-empty array of permissions'
+      });
+    }
+
+    const unknown = scopes.filter(scope => !isKnownPermission(scope));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown permissions: ${unknown.join(', ')}`
+      });
+    }
+
+    if (!canGrant(req, scopes)) {
+      logger.warn('API key creation exceeding own permissions', { scopes, userId: req.user.id });
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot grant permissions you do not have'
+      });
+    }
+
+    const expiresAt = expires_at ? new Date(expires_at) : null;
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Expiry must be a valid date in the future'
+      });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      name,
+      scopes,
+      expiresAt,
+      createdBy: req.user.id
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'CREATE_API_KEY',
+        description: `Created API key "${name}" (#${apiKey.id}) with scopes [${apiKey.scopes.join(', ')}]`
+      }
+    });
+
+    logger.info('API key created successfully', { apiKeyId: apiKey.id, createdBy: req.user.id });
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now; it will not be shown again.',
+      data: {
+        id: apiKey.id,
+        name: apiKey.name,
+        key,
+        key_prefix: apiKey.key_prefix,
+        scopes: apiKey.scopes,
+        created_at: apiKey.created_at,
+        expires_at: apiKey.expires_at
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', { error: error.message, stack: error.stack, createdBy: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/api-keys/:id', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKeyId = parseInt(req.params.id);
+
+    const { count } = await prisma.api_keys.updateMany({
+      where: { id: apiKeyId, revoked_at: null },
+      data: { revoked_at: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found or already revoked'
+      });
+    }
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'REVOKE_API_KEY',
+        description: `Revoked API key #${apiKeyId}`
+      }
+    });
+
+    logger.info('API key revoked successfully', { apiKeyId, revokedBy: req.user.id });
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+  } catch (error) {
+    logger.error('Error revoking API key:', { error: error.message, stack: error.stack, apiKeyId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get all products
+router.get('/products', requirePermission('products:read'), async (req, res) => {
+  try {
+    const products = await prisma.products.findMany({
+      include: {
+        categories: true,
+        product_variants: true
+      }
+    });
+
+    logger.info('Products fetched successfully', { count: products.length });
+    res.json({
+      success: true,
+      count: products.length,
+      data: products
+    });
+  } catch (error) {
+    logger.error('Error fetching products:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create product
+router.post('/products', requirePermission('products:write'), upload.fields([
+  { name: 'main_image', maxCount: 1 },
+  { name: 'additional_images', maxCount: 5 }
+]), async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      base_price,
+      category_ids,
+      variants
+    } = req.body;
+
+    // Parse JSON strings back to objects
+    const parsedCategoryIds = JSON.parse(category_ids);
+    const parsedVariants = JSON.parse(variants);
+
+    // Upload main image to Supabase
+    const mainImageFile = req.files['main_image'][0];
+    const mainImageFileName = `products/${Date.now()}-${name.toLowerCase().replace(/\s+/g, '-')}.jpg`;
+    const mainImageUrl = await uploadImageToSupabase(mainImageFile.buffer, mainImageFileName);
+
+    // Upload additional images if any
+    let additionalImageUrls = [];
+    if (req.files['additional_images']) {
+      additionalImageUrls = await Promise.all(
+        req.files['additional_images'].map(async (file, index) => {
+          const fileName = `products/${Date.now()}-${index}-${name.toLowerCase().replace(/\s+/g, '-')}.jpg`;
+          return await uploadImageToSupabase(file.buffer, fileName);
+        })
+      );
+    }
+
+    const product = await prisma.products.create({
+      data: {
+        name,
+        description,
+        base_price: parseFloat(base_price),
+        image_url: mainImageUrl,
+        category_id: parseInt(parsedCategoryIds[0]),
+        product_variants: {
+          create: parsedVariants.map(variant => ({
             size: variant.size,
             color: variant.color,
             stock_qty: variant.stock_qty,
-            price: variant.price
-          }
-        });
+            price: variant.price,
+            weight_grams: variant.weight_grams
+          }))
+        }
+      },
+      include: {
+        categories: true,
+        product_variants: true
       }
-    }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'CREATE_PRODUCT',
+        description: `Created product ${product.id}`
+      }
+    });
+
+    logger.info('Product created successfully', { 
+      productId: product.id, 
+      name: product.name,
+      createdBy: req.user.id,
+      variantCount: parsedVariants.length
+    });
+    res.status(201).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    logger.error('Error creating product:', { 
+      error: error.message, 
+      stack: error.stack,
+      createdBy: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update product
+router.put('/products/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+    const {
+      name,
+      description,
+      price,
+      category_ids,
+      variants,
+      main_image_base64,
+      images_base64
+    } = req.body;
+
+    let imageUrl;
+    if (main_image_base64) {
+      // Upload new image to Supabase
+      const fileName = `products/${Date.now()}-${name.toLowerCase().replace(/\s+/g, '-')}.jpg`
+      imageUrl = await uploadImageToSupabase(main_image_base64, fileName)
+    }
+
+    // Update product
+    const product = await prisma.products.update({
+      where: { id: productId },
+      data: {
+        name,
+        description,
+        price,
+        ...(imageUrl && { image_url: imageUrl }), // Only update image_url if new image was uploaded
+        categories: {
+          set: category_ids.map(id => ({ id: parseInt(id) }))
+        }
+      },
+      include: {
+        categories: true,
+        product_variants: true
+      }
+    });
+
+    // Update variants
+    for (const variant of variants) {
+      if (variant.id) {
+        // Update existing variant
+        await prisma.product_variants.update({
+          where: { id: variant.id },
+          data: {
+            sku: variant.sku,
+            size: variant.size,
+            color: variant.color,
+            stock_qty: variant.stock_qty,
+            price: variant.price,
+            weight_grams: variant.weight_grams
+          }
+        });
+      } else {
+        // Create new variant
+        await prisma.product_variants.create({
+          data: {
+            product_id: productId,
+            sku: variant.sku,
+            size: variant.size,
+            color: variant.color,
+            stock_qty: variant.stock_qty,
+            price: variant.price,
+            weight_grams: variant.weight_grams
+          }
+        });
+      }
+    }
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_PRODUCT',
+        description: `Updated product ${productId}`
+      }
+    });
+
+    logger.info('Product updated successfully', { 
+      productId, 
+      updatedBy: req.user.id,
+      hasNewImage: !!imageUrl
+    });
+    res.json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    logger.error('Error updating product:', { 
+      error: error.message, 
+      stack: error.stack, 
+      productId: req.params.id,
+      updatedBy: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete product
+router.delete('/products/:id', requirePermission('products:write'), async (req, res) => {
+  try {
+    const productId = parseInt(req.params.id);
+
+    // Get the product to get its image URL
+    const product = await prisma.products.findUnique({
+      where: { id: productId },
+      select: { image_url: true }
+    });
+
+    // Delete image from Supabase if it exists
+    if (product?.image_url) {
+      const fileName = product.image_url.split('/').pop(); // Get filename from URL
+      await deleteImageFromSupabase(`products/${fileName}`);
+    }
+
+    // Delete product variants first
+    await prisma.product_variants.deleteMany({
+      where: { product_id: productId }
+    });
+
+    // Delete product
+    await prisma.products.delete({
+      where: { id: productId }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_PRODUCT',
+        description: `Deleted product ${productId}`
+      }
+    });
+
+    logger.info('Product deleted successfully', { 
+      productId, 
+      deletedBy: req.user.id,
+      hadImage: !!product?.image_url
+    });
+    res.json({
+      success: true,
+      message: 'Product deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting product:', { 
+      error: error.message, 
+      stack: error.stack, 
+      productId: req.params.id,
+      deletedBy: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get all orders
+router.get('/orders', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const orders = await prisma.orders.findMany({
+      include: {
+        users: {
+          select: {
+            id: true,
+            email: true,
+            name: true
+          }
+        },
+        order_items: {
+          include: {
+            product_variants: {
+              include: {
+                products: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    logger.info('Orders fetched successfully', { count: orders.length });
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    logger.error('Error fetching orders:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update order status
+router.put('/orders/:id/status', requirePermission('orders:update_status'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { status, note } = req.body;
+
+    if (!isOrderStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${ORDER_STATUSES.join(', ')}`
+      });
+    }
+
+    // Cancelling also restores stock and refunds, which only the cancel endpoint does
+    if (status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/admin/orders/:id/cancel to cancel an order'
+      });
+    }
+
+    // A refunded order must have a refund behind it in the payments and refunds tables
+    if (status === 'refunded') {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund through POST /api/admin/returns/:id/refund or POST /api/payments/:id/refund; a fully refunded return marks the order refunded'
+      });
+    }
+
+    // Payments confirmed by hand, e.g. bank transfers, take stock and issue the invoice
+    // exactly like provider payments do
+    if (status === 'paid') {
+      await markOrderPaidManually(orderId, { staffId: req.user.id, note });
+    } else {
+      await transitionOrderStatus(orderId, status, {
+        changedBy: req.user.id,
+        note
+      });
+    }
+
+    const order = await prisma.orders.findUnique({
+      where: { id: orderId },
+      include: {
+        users: {
+          select: {
+            id: true,
+            email: true,
+            name: true
+          }
+        },
+        order_items: {
+          include: {
+            product_variants: {
+              include: {
+                products: true
+              }
+            }
+          }
+        }
+      }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id, // Admin's ID
+        action: 'UPDATE_ORDER_STATUS',
+        description: `Updated order ${orderId} status to ${status}`
+      }
+    });
+
+    logger.info('Order status updated successfully', { 
+      orderId, 
+      newStatus: status,
+      updatedBy: req.user.id
+    });
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.name === 'NotFoundError' || error.name === 'ConflictError') {
+      logger.warn('Order status change rejected', { orderId: req.params.id, status: req.body.status, reason: error.message });
+      return res.status(error.name === 'NotFoundError' ? 404 : 409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error updating order status:', { 
+      error: error.message, 
+      stack: error.stack, 
+      orderId: req.params.id,
+      updatedBy: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Cancel an order on behalf of the customer
+router.post('/orders/:id/cancel', requirePermission('orders:cancel'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A cancellation reason is required'
+      });
+    }
+
+    const order = await cancelOrder(orderId, {
+      cancelledBy: req.user.id,
+      reason: String(reason).trim().slice(0, 255),
+      byStaff: true
+    });
+
+    logger.info('Order cancelled by admin', { orderId, cancelledBy: req.user.id });
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    if (error.name === 'NotFoundError' || error.name === 'ConflictError') {
+      return res.status(error.name === 'NotFoundError' ? 404 : 409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error cancelling order:', { error: error.message, stack: error.stack, orderId: req.params.id, cancelledBy: req.user.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Download a packing slip for the warehouse
+router.get('/orders/:id/packing-slip.pdf', requirePermission('orders:read'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+
+    const order = await prisma.orders.findUnique({
+      where: { id: orderId },
+      include: { order_items: true }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const pdf = await renderPackingSlipPdf(order);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="packing-slip-${order.id}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    logger.error('Error generating packing slip:', { error: error.message, stack: error.stack, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Shipment service errors that are the caller's fault
+const SHIPMENT_ERROR_STATUS = {
+  ValidationError: 400,
+  NotFoundError: 404,
+  ConflictError: 409
+};
+
+// Ship some or all remaining items of an order
+router.post('/orders/:id/shipments', requirePermission('shipments:manage'), async (req, res) => {
+  try {
+    const orderId = parseInt(req.params.id);
+    const shipment = await createShipment(orderId, req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: shipment
+    });
+  } catch (error) {
+    if (SHIPMENT_ERROR_STATUS[error.name]) {
+      return res.status(SHIPMENT_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error creating shipment:', { error: error.message, stack: error.stack, orderId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update tracking details or record delivery
+router.put('/shipments/:id', requirePermission('shipments:manage'), async (req, res) => {
+  try {
+    const shipment = await updateShipment(parseInt(req.params.id), req.body, req.user.id);
+
+    res.json({
+      success: true,
+      data: shipment
+    });
+  } catch (error) {
+    if (SHIPMENT_ERROR_STATUS[error.name]) {
+      return res.status(SHIPMENT_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error updating shipment:', { error: error.message, stack: error.stack, shipmentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Return service errors that are the caller's fault
+const RETURN_ERROR_STATUS = {
+  ValidationError: 400,
+  NotFoundError: 404,
+  ConflictError: 409,
+  InsufficientStockError: 409
+};
+
+// List return requests, optionally by status
+router.get('/returns', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !RETURN_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${RETURN_STATUSES.join(', ')}`
+      });
+    }
+
+    const returns = await prisma.returns.findMany({
+      where: status ? { status } : {},
+      include: {
+        ...returnInclude,
+        users: {
+          select: { id: true, name: true, email: true }
+        }
+      },
+      orderBy: { created_at: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    logger.error('Error fetching returns:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single return with its order
+router.get('/returns/:id', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const returnRequest = await prisma.returns.findUnique({
+      where: { id: parseInt(req.params.id) },
+      include: {
+        ...returnInclude,
+        orders: true,
+        replacement_order: true,
+        users: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    });
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Error fetching return:', { error: error.message, stack: error.stack, returnId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Approve a return so the customer can send the goods back
+router.post('/returns/:id/approve', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const returnRequest = await approveReturn(parseInt(req.params.id), {
+      staffId: req.user.id,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    if (RETURN_ERROR_STATUS[error.name]) {
+      return res.status(RETURN_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error approving return:', { error: error.message, stack: error.stack, returnId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Reject a return request
+router.post('/returns/:id/reject', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    if (!note || !String(note).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason for the rejection is required'
+      });
+    }
+
+    const returnRequest = await rejectReturn(parseInt(req.params.id), {
+      staffId: req.user.id,
+      note: String(note).trim()
+    });
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    if (RETURN_ERROR_STATUS[error.name]) {
+      return res.status(RETURN_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error rejecting return:', { error: error.message, stack: error.stack, returnId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Record that the goods arrived; exchanges get their replacement order here
+router.post('/returns/:id/receive', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const returnRequest = await receiveReturn(parseInt(req.params.id), {
+      staffId: req.user.id,
+      restock: req.body.restock === true,
+      refundInstead: req.body.refund_instead === true,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    if (RETURN_ERROR_STATUS[error.name]) {
+      return res.status(RETURN_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message,
+        variants: error.variants
+      });
+    }
+    logger.error('Error receiving return:', { error: error.message, stack: error.stack, returnId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Refund a received return; amount defaults to the price paid for the returned items
+router.post('/returns/:id/refund', requirePermission('returns:manage'), async (req, res) => {
+  try {
+    const returnRequest = await refundReturn(parseInt(req.params.id), {
+      staffId: req.user.id,
+      amount: req.body.amount,
+      note: req.body.note
+    });
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    if (RETURN_ERROR_STATUS[error.name]) {
+      return res.status(RETURN_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error refunding return:', { error: error.message, stack: error.stack, returnId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get shipping zones with their rates
+router.get('/shipping/zones', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zones = await prisma.shipping_zones.findMany({
+      include: {
+        shipping_rates: {
+          orderBy: [{ method: 'asc' }, { min_value: 'asc' }]
+        }
+      },
+      orderBy: { id: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    logger.error('Error fetching shipping zones:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create shipping zone
+router.post('/shipping/zones', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zone = await prisma.shipping_zones.create({
+      data: parseZoneInput(req.body),
+      include: { shipping_rates: true }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'CREATE_SHIPPING_ZONE',
+        description: `Created shipping zone "${zone.name}" (#${zone.id})`
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error creating shipping zone:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update shipping zone
+router.put('/shipping/zones/:id', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zoneId = parseInt(req.params.id);
+
+    const zone = await prisma.shipping_zones.update({
+      where: { id: zoneId },
+      data: parseZoneInput(req.body, { partial: true }),
+      include: { shipping_rates: true }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_SHIPPING_ZONE',
+        description: `Updated shipping zone "${zone.name}" (#${zone.id})`
+      }
+    });
+
+    res.json({
+      success: true,
+      data: zone
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+    logger.error('Error updating shipping zone:', { error: error.message, stack: error.stack, zoneId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete shipping zone and its rates
+router.delete('/shipping/zones/:id', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zoneId = parseInt(req.params.id);
+
+    const zone = await prisma.shipping_zones.delete({
+      where: { id: zoneId }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_SHIPPING_ZONE',
+        description: `Deleted shipping zone "${zone.name}" (#${zone.id})`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Shipping zone deleted'
+    });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+    logger.error('Error deleting shipping zone:', { error: error.message, stack: error.stack, zoneId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Add a rate to a shipping zone
+router.post('/shipping/zones/:id/rates', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const zoneId = parseInt(req.params.id);
+
+    const zone = await prisma.shipping_zones.findUnique({
+      where: { id: zoneId }
+    });
+
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping zone not found'
+      });
+    }
+
+    const rate = await prisma.shipping_rates.create({
+      data: {
+        ...parseRateInput(req.body),
+        zone_id: zoneId
+      }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'CREATE_SHIPPING_RATE',
+        description: `Added ${rate.method} rate #${rate.id} to shipping zone "${zone.name}"`
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error creating shipping rate:', { error: error.message, stack: error.stack, zoneId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update shipping rate
+router.put('/shipping/rates/:id', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+
+    const rate = await prisma.shipping_rates.update({
+      where: { id: rateId },
+      data: parseRateInput(req.body, { partial: true })
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_SHIPPING_RATE',
+        description: `Updated shipping rate #${rate.id}`
+      }
+    });
+
+    res.json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping rate not found'
+      });
+    }
+    logger.error('Error updating shipping rate:', { error: error.message, stack: error.stack, rateId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete shipping rate
+router.delete('/shipping/rates/:id', requirePermission('shipping:manage'), async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+
+    await prisma.shipping_rates.delete({
+      where: { id: rateId }
+    });
 
     // Log activity
     await prisma.activity_logs.create({
       data: {
         user_id: req.user.id,
-        action: 'UPDATE_PRODUCT',
-        description: `Updated product ${productId}`
+        action: 'DELETE_SHIPPING_RATE',
+        description: `Deleted shipping rate #${rateId}`
       }
     });
 
-    logger.info('Product updated successfully', { 
-      productId, 
-      updatedBy: req.user.id,
-      hasNewImage: !!imageUrl
-    });
     res.json({
       success: true,
-      data: product
+      message: 'Shipping rate deleted'
     });
   } catch (error) {
-    logger.error('Error updating product:', { 
-      error: error.message, 
-      stack: error.stack, 
-      productId: req.params.id,
-      updatedBy: req.user.id
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Shipping rate not found'
+      });
+    }
+    logger.error('Error deleting shipping rate:', { error: error.message, stack: error.stack, rateId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get tax rates
+router.get('/tax/rates', requirePermission('tax:manage'), async (req, res) => {
+  try {
+    const rates = await prisma.tax_rates.findMany({
+      orderBy: [{ country: 'asc' }, { state: 'asc' }, { tax_class: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: rates
     });
+  } catch (error) {
+    logger.error('Error fetching tax rates:', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -305,58 +1795,115 @@ router.put('/products/:id', async (req, res) => {
   }
 });
 
-// Delete product
-router.delete('/products/:id', async (req, res) => {
+// Create tax rate
+router.post('/tax/rates', requirePermission('tax:manage'), async (req, res) => {
   try {
-    const productId = parseInt(req.params.id);
+    const rate = await prisma.tax_rates.create({
+      data: parseTaxRateInput(req.body)
+    });
 
-    // Get the product to get its image URL
-    const product = await prisma.products.findUnique({
-      where: { id: productId },
-      select: { image_url: true }
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'CREATE_TAX_RATE',
+        description: `Created tax rate "${rate.name}" (#${rate.id}) of ${rate.rate} for ${rate.tax_class} in ${rate.state ? `${rate.state}, ` : ''}${rate.country}`
+      }
     });
 
-    // Delete image from Supabase if it exists
-    if (product?.image_url) {
-      const fileName = product.image_url.split('/').pop(); // Get filename from URL
-      await deleteImageFromSupabase(`products/${fileName}`);
+    res.status(201).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
     }
-
-    // Delete product variants first
-    await prisma.product_variants.deleteMany({
-      where: { product_id: productId }
+    logger.error('Error creating tax rate:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
+  }
+});
 
-    // Delete product
-    await prisma.products.delete({
-      where: { id: productId }
+// Update tax rate; orders keep the tax lines they were placed with
+router.put('/tax/rates/:id', requirePermission('tax:manage'), async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+
+    const rate = await prisma.tax_rates.update({
+      where: { id: rateId },
+      data: parseTaxRateInput(req.body, { partial: true })
     });
 
     // Log activity
     await prisma.activity_logs.create({
       data: {
         user_id: req.user.id,
-        action: 'DELETE_PRODUCT',
-        description: `Deleted product ${productId}`
+        action: 'UPDATE_TAX_RATE',
+        description: `Updated tax rate "${rate.name}" (#${rate.id})`
       }
     });
 
-    logger.info('Product deleted successfully', { 
-      productId, 
-      deletedBy: req.user.id,
-      hadImage: !!product?.image_url
-    });
     res.json({
       success: true,
-      message: 'Product deleted'
+      data: rate
     });
   } catch (error) {
-    logger.error('Error deleting product:', { 
-      error: error.message, 
-      stack: error.stack, 
-      productId: req.params.id,
-      deletedBy: req.user.id
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+    logger.error('Error updating tax rate:', { error: error.message, stack: error.stack, rateId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete tax rate
+router.delete('/tax/rates/:id', requirePermission('tax:manage'), async (req, res) => {
+  try {
+    const rateId = parseInt(req.params.id);
+
+    const rate = await prisma.tax_rates.delete({
+      where: { id: rateId }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_TAX_RATE',
+        description: `Deleted tax rate "${rate.name}" (#${rate.id})`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Tax rate deleted'
     });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Tax rate not found'
+      });
+    }
+    logger.error('Error deleting tax rate:', { error: error.message, stack: error.stack, rateId: req.params.id });
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -364,39 +1911,24 @@ router.delete('/products/:id', async (req, res) => {
   }
 });
 
-// Get all orders
-router.get('/orders', async (req, res) => {
+// Get coupons with their usage
+router.get('/coupons', requirePermission('coupons:manage'), async (req, res) => {
   try {
-    const orders = await prisma.orders.findMany({
-      include: {
-        users: {
-          select: {
-            id: true,
-            email: true,
-            full_name: true
-          }
-        },
-        order_items: {
-          include: {
-            product_variants: {
-              include: {
-                products: true
-              }
-            }
-          }
-        }
-      },
+    const coupons = await prisma.coupons.findMany({
       orderBy: { created_at: 'desc' }
     });
+    const usage = await getCouponUsage(coupons.map(coupon => coupon.id));
 
-    logger.info('Orders fetched successfully', { count: orders.length });
     res.json({
       success: true,
-      count: orders.length,
-      data: orders
+      count: coupons.length,
+      data: coupons.map(coupon => ({
+        ...coupon,
+        usage: usage.get(coupon.id)
+      }))
     });
   } catch (error) {
-    logger.error('Error fetching orders:', { error: error.message, stack: error.stack });
+    logger.error('Error fetching coupons:', { error: error.message, stack: error.stack });
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -404,60 +1936,185 @@ router.get('/orders', async (req, res) => {
   }
 });
 
-// Update order status
-router.put('/orders/:id/status', async (req, res) => {
+// Usage report of one coupon: totals and its redemptions, newest first
+router.get('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
   try {
-    const orderId = parseInt(req.params.id);
-    const { status } = req.body;
+    const couponId = parseInt(req.params.id);
 
-    const order = await prisma.orders.update({
-      where: { id: orderId },
-      data: { status },
+    const coupon = await prisma.coupons.findUnique({
+      where: { id: couponId },
       include: {
-        users: {
-          select: {
-            id: true,
-            email: true,
-            full_name: true
-          }
-        },
-        order_items: {
+        redemptions: {
+          orderBy: { created_at: 'desc' },
           include: {
-            product_variants: {
-              include: {
-                products: true
-              }
+            orders: {
+              select: { id: true, status: true, total_amount: true, created_at: true }
+            },
+            users: {
+              select: { id: true, name: true, email: true }
             }
           }
         }
       }
     });
 
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const usage = await getCouponUsage([couponId]);
+
+    res.json({
+      success: true,
+      data: {
+        ...coupon,
+        usage: usage.get(couponId)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching coupon:', { error: error.message, stack: error.stack, couponId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Create coupon
+router.post('/coupons', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const coupon = await prisma.coupons.create({
+      data: parseCouponInput(req.body)
+    });
+
     // Log activity
     await prisma.activity_logs.create({
       data: {
-        user_id: req.user.id, // Admin's ID
-        action: 'UPDATE_ORDER_STATUS',
-        description: `Updated order ${orderId} status to ${status}`
+        user_id: req.user.id,
+        action: 'CREATE_COUPON',
+        description: `Created ${coupon.type} coupon ${coupon.code} (#${coupon.id})`
       }
     });
 
-    logger.info('Order status updated successfully', { 
-      orderId, 
-      newStatus: status,
-      updatedBy: req.user.id
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    logger.error('Error creating coupon:', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Update coupon; orders keep the discount they were placed with
+router.put('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const couponId = parseInt(req.params.id);
+
+    const existing = await prisma.coupons.findUnique({
+      where: { id: couponId }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const coupon = await prisma.coupons.update({
+      where: { id: couponId },
+      data: { ...parseCouponInput(req.body, { existing }), updated_at: new Date() }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'UPDATE_COUPON',
+        description: `Updated coupon ${coupon.code} (#${coupon.id})`
+      }
     });
+
     res.json({
       success: true,
-      data: order
+      data: coupon
     });
   } catch (error) {
-    logger.error('Error updating order status:', { 
-      error: error.message, 
-      stack: error.stack, 
-      orderId: req.params.id,
-      updatedBy: req.user.id
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+    logger.error('Error updating coupon:', { error: error.message, stack: error.stack, couponId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete coupon; redeemed coupons are kept for the order history and can only be deactivated
+router.delete('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+  try {
+    const couponId = parseInt(req.params.id);
+
+    const coupon = await prisma.coupons.delete({
+      where: { id: couponId }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'DELETE_COUPON',
+        description: `Deleted coupon ${coupon.code} (#${coupon.id})`
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted'
     });
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+    if (error.code === 'P2003') {
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has been redeemed and cannot be deleted; set is_active to false instead'
+      });
+    }
+    logger.error('Error deleting coupon:', { error: error.message, stack: error.stack, couponId: req.params.id });
     res.status(500).json({
       success: false,
       message: 'Server error'
@@ -466,7 +2123,7 @@ router.put('/orders/:id/status', async (req, res) => {
 });
 
 // Get dashboard stats
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('dashboard:read'), async (req, res) => {
   try {
     // Get total users
     const totalUsers = await prisma.users.count();
@@ -477,11 +2134,12 @@ router.get('/dashboard', async (req, res) => {
     // Get total orders
     const totalOrders = await prisma.orders.count();
 
-    // Get total revenue
-    const orders = await prisma.orders.findMany({
-      where: { status: 'COMPLETED' }
+    // Get total revenue from paid orders
+    const revenue = await prisma.orders.aggregate({
+      where: { status: { in: REVENUE_STATUSES } },
+      _sum: { total_amount: true }
     });
-    const totalRevenue = orders.reduce((sum, order) => sum + order.total_amount, 0);
+    const totalRevenue = Number(revenue._sum.total_amount || 0);
 
     // Get recent orders
     const recentOrders = await prisma.orders.findMany({
@@ -491,7 +2149,7 @@ router.get('/dashboard', async (req, res) => {
           select: {
             id: true,
             email: true,
-            full_name: true
+            name: true
           }
         }
       },
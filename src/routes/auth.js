@@ -1,12 +1,58 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
 import { authenticate } from '../middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  startLoginSession
+} from '../lib/sessions.js';
+import { sendMail, clientUrl } from '../lib/mailer.js';
+import {
+  isLocked,
+  checkIpThrottle,
+  applyFailureDelay,
+  recordLoginFailure,
+  recordLoginSuccess
+} from '../lib/loginThrottle.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../lib/twoFactor.js';
+import { generateToken, hashToken } from '../utils/tokens.js';
 
 const router = express.Router();
 
+const MIN_PASSWORD_LENGTH = 6;
+const getResetTokenTtlMs = () => (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const getVerificationTokenTtlMs = () => (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000;
+
+// Issue a fresh verification token and email it, superseding any earlier ones
+const sendVerificationEmail = async (user) => {
+  const token = generateToken();
+
+  await prisma.$transaction([
+    prisma.email_verification_tokens.updateMany({
+      where: { user_id: user.id, used_at: null },
+      data: { used_at: new Date() }
+    }),
+    prisma.email_verification_tokens.create({
+      data: {
+        user_id: user.id,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + getVerificationTokenTtlMs())
+      }
+    })
+  ]);
+
+  const verifyUrl = clientUrl('/verify-email', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Welcome${user.name ? `, ${user.name}` : ''}! Please confirm your email address by opening the link below.\n\n${verifyUrl}`
+  });
+};
+
 // Get authenticated user
 router.get('/me', authenticate, async (req, res) => {
   try {
@@ -18,7 +64,8 @@ router.get('/me', authenticate, async (req, res) => {
         id: true,
         email: true,
         name: true,
-        role: true,
+        email_verified_at: true,
+        totp_enabled_at: true,
         created_at: true
       }
     });
@@ -34,7 +81,11 @@ router.get('/me', authenticate, async (req, res) => {
     logger.info('User profile fetched successfully', { userId });
     res.json({
       success: true,
-      data: user
+      data: {
+        ...user,
+        roles: req.user.roles,
+        permissions: req.user.permissions
+      }
     });
   } catch (error) {
     logger.error('Error fetching user profile:', { 
@@ -80,12 +131,18 @@ router.post('/register', async (req, res) => {
       }
     });
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // Start session
+    const { token, refresh_token, expires_at } = await createSession(user.id, req);
+
+    // A failed email shouldn't fail registration; the user can ask for a resend
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Failed to send verification email after registration', {
+        error: mailError.message,
+        userId: user.id
+      });
+    }
 
     logger.info('New user registered successfully', { 
       userId: user.id,
@@ -96,10 +153,13 @@ router.post('/register', async (req, res) => {
     res.status(201).json({
       success: true,
       token,
+      refresh_token,
+      expires_at,
       user: {
         id: user.id,
         email: user.email,
-        name: user.name
+        name: user.name,
+        email_verified_at: user.email_verified_at
       }
     });
   } catch (error) {
@@ -120,70 +180,567 @@ router.post('/login', async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email and password are required'
+      });
+    }
+
+    // Block addresses with too many recent failures
+    const ipThrottle = await checkIpThrottle(req.ip);
+    if (ipThrottle.blocked) {
+      logger.warn('Login attempt from throttled IP', { email, ip: req.ip });
+      res.set('Retry-After', String(ipThrottle.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+
     // Find user
     const user = await prisma.users.findUnique({
       where: { email }
     });
 
     if (!user) {
-      logger.warn('Login attempt with non-existent email', { email });
+      logger.warn('Login attempt with non-existent email', { email, ip: req.ip });
+      await recordLoginFailure({ email, ip: req.ip });
+      await applyFailureDelay(email, req.ip);
       return res.status(400).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password_hash);
+    // Locked accounts are refused before the password is even checked
+    if (isLocked(user)) {
+      logger.warn('Login attempt on locked account', { userId: user.id, email, ip: req.ip });
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        locked_until: user.locked_until
+      });
+    }
+
+    // Check password; accounts created through a login provider may not have one
+    const isMatch = !!user.password_hash && await bcrypt.compare(password, user.password_hash);
     if (!isMatch) {
-      logger.warn('Login attempt with invalid password', { email });
+      logger.warn('Login attempt with invalid password', { email, ip: req.ip });
+      const { locked, lockedUntil } = await recordLoginFailure({ email, ip: req.ip, user });
+      if (locked) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is temporarily locked due to too many failed login attempts',
+          locked_until: lockedUntil
+        });
+      }
+      await applyFailureDelay(email, req.ip);
       return res.status(400).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Create token
-    const token = jwt.sign(
-      { userId: user.id },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
-    );
+    // Second step required before any session is issued
+    if (isTwoFactorEnabled(user)) {
+      logger.info('Password accepted, awaiting second factor', { userId: user.id });
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: createLoginChallenge(user.id)
+      });
+    }
+
+    await recordLoginSuccess({ email, ip: req.ip, user });
+
+    res.json(await startLoginSession(user, req));
+  } catch (error) {
+    logger.error('Login error:', { 
+      error: error.message, 
+      stack: error.stack,
+      attemptedEmail: req.body.email
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+// Refresh access token
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const { session, token, refresh_token: newRefreshToken, expires_at } = await rotateSession(refresh_token, req);
+
+    logger.info('Session refreshed successfully', {
+      userId: session.user_id,
+      sessionId: session.id
+    });
+
+    res.json({
+      success: true,
+      token,
+      refresh_token: newRefreshToken,
+      expires_at
+    });
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      logger.warn('Session refresh rejected', { reason: error.message, ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Session refresh error:', {
+      error: error.message,
+      stack: error.stack,
+      ip: req.ip
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Logout current session
+router.post('/logout', authenticate, async (req, res) => {
+  try {
+    await revokeSession(req.authSession.id);
 
     // Log activity
     await prisma.activity_logs.create({
       data: {
-        user_id: user.id,
-        action: 'LOGIN',
-        description: 'User logged in successfully'
+        user_id: req.user.id,
+        action: 'LOGOUT',
+        description: `Logged out session ${req.authSession.id}`
       }
     });
 
-    logger.info('User logged in successfully', { 
-      userId: user.id,
-      email: user.email,
-      role: user.role
+    logger.info('User logged out successfully', {
+      userId: req.user.id,
+      sessionId: req.authSession.id
     });
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role
+      message: 'Logged out'
+    });
+  } catch (error) {
+    logger.error('Logout error:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Logout all sessions
+router.post('/logout-all', authenticate, async (req, res) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user.id);
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'LOGOUT_ALL',
+        description: `Logged out of ${revokedCount} sessions`
       }
     });
+
+    logger.info('User logged out of all sessions', {
+      userId: req.user.id,
+      revokedCount
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions',
+      count: revokedCount
+    });
   } catch (error) {
-    logger.error('Login error:', { 
-      error: error.message, 
+    logger.error('Logout all error:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Request password reset
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const user = await prisma.users.findUnique({
+      where: { email }
+    });
+
+    // Respond the same way whether or not the account exists
+    if (!user) {
+      logger.warn('Password reset requested for non-existent email', { email, ip: req.ip });
+    } else {
+      const token = generateToken();
+
+      await prisma.$transaction([
+        // Only the most recent reset link stays valid
+        prisma.password_reset_tokens.updateMany({
+          where: { user_id: user.id, used_at: null },
+          data: { used_at: new Date() }
+        }),
+        prisma.password_reset_tokens.create({
+          data: {
+            user_id: user.id,
+            token_hash: hashToken(token),
+            expires_at: new Date(Date.now() + getResetTokenTtlMs())
+          }
+        }),
+        prisma.activity_logs.create({
+          data: {
+            user_id: user.id,
+            action: 'PASSWORD_RESET_REQUEST',
+            description: 'Requested password reset'
+          }
+        })
+      ]);
+
+      const resetUrl = clientUrl('/reset-password', { token });
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Use the link below to reset your password. It expires in ${getResetTokenTtlMs() / 60000} minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`
+        });
+        logger.info('Password reset requested', { userId: user.id });
+      } catch (error) {
+        // An error response here would tell the caller the email is registered
+        logger.error('Password reset email could not be sent:', {
+          error: error.message,
+          stack: error.stack,
+          userId: user.id
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+  } catch (error) {
+    logger.error('Forgot password error:', {
+      error: error.message,
       stack: error.stack,
       attemptedEmail: req.body.email
     });
     res.status(500).json({
       success: false,
-      message: 'Login failed. Please try again.'
+      message: 'Server error'
+    });
+  }
+});
+
+// Reset password with token
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || typeof password !== 'string' || !token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const resetToken = await prisma.password_reset_tokens.findUnique({
+      where: { token_hash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.used_at || resetToken.expires_at < new Date()) {
+      logger.warn('Password reset attempt with invalid or expired token', { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(password, salt);
+
+    const reset = await prisma.$transaction(async (tx) => {
+      // Claim the token first so it can only ever be used once
+      const { count } = await tx.password_reset_tokens.updateMany({
+        where: { id: resetToken.id, used_at: null },
+        data: { used_at: new Date() }
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      // Proving control of the mailbox also clears any login lockout
+      await tx.users.update({
+        where: { id: resetToken.user_id },
+        data: {
+          password_hash,
+          failed_login_attempts: 0,
+          locked_until: null
+        }
+      });
+
+      // Invalidate any other outstanding reset links and every session
+      await tx.password_reset_tokens.updateMany({
+        where: { user_id: resetToken.user_id, used_at: null },
+        data: { used_at: new Date() }
+      });
+      await revokeAllSessions(resetToken.user_id, { client: tx });
+
+      await tx.activity_logs.create({
+        data: {
+          user_id: resetToken.user_id,
+          action: 'PASSWORD_RESET',
+          description: 'Reset password using emailed token'
+        }
+      });
+
+      return true;
+    });
+
+    if (!reset) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset token is invalid or has expired'
+      });
+    }
+
+    logger.info('Password reset successfully', { userId: resetToken.user_id });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in again.'
+    });
+  } catch (error) {
+    logger.error('Reset password error:', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Change password
+router.put('/password', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { current_password, new_password } = req.body;
+
+    // Accounts created through a login provider can set a first password without one
+    const hasPassword = !!req.user.password_hash;
+
+    if ((hasPassword && (!current_password || typeof current_password !== 'string'))
+      || !new_password || typeof new_password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+
+    if (new_password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const isMatch = !hasPassword || await bcrypt.compare(current_password, req.user.password_hash);
+    if (!isMatch) {
+      logger.warn('Password change attempt with invalid current password', { userId });
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const password_hash = await bcrypt.hash(new_password, salt);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.users.update({
+        where: { id: userId },
+        data: { password_hash }
+      });
+
+      // Keep the current session, sign out everywhere else
+      await tx.password_reset_tokens.updateMany({
+        where: { user_id: userId, used_at: null },
+        data: { used_at: new Date() }
+      });
+      await revokeAllSessions(userId, { exceptSessionId: req.authSession.id, client: tx });
+
+      await tx.activity_logs.create({
+        data: {
+          user_id: userId,
+          action: 'PASSWORD_CHANGE',
+          description: 'Changed password'
+        }
+      });
+    });
+
+    logger.info('Password changed successfully', { userId });
+
+    res.json({
+      success: true,
+      message: 'Password updated'
+    });
+  } catch (error) {
+    logger.error('Change password error:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Verify email address with token (link target or API call)
+const verifyEmail = async (req, res) => {
+  try {
+    const token = req.method === 'GET' ? req.query.token : req.body.token;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is required'
+      });
+    }
+
+    const verificationToken = await prisma.email_verification_tokens.findUnique({
+      where: { token_hash: hashToken(token) },
+      include: { users: true }
+    });
+
+    if (!verificationToken || verificationToken.used_at || verificationToken.expires_at < new Date()) {
+      logger.warn('Email verification attempt with invalid or expired token', { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        message: 'Verification token is invalid or has expired'
+      });
+    }
+
+    const user = await prisma.$transaction(async (tx) => {
+      await tx.email_verification_tokens.updateMany({
+        where: { user_id: verificationToken.user_id, used_at: null },
+        data: { used_at: new Date() }
+      });
+
+      const verifiedUser = await tx.users.update({
+        where: { id: verificationToken.user_id },
+        data: { email_verified_at: verificationToken.users.email_verified_at || new Date() },
+        select: {
+          id: true,
+          email: true,
+          email_verified_at: true
+        }
+      });
+
+      await tx.activity_logs.create({
+        data: {
+          user_id: verificationToken.user_id,
+          action: 'VERIFY_EMAIL',
+          description: `Verified email ${verifiedUser.email}`
+        }
+      });
+
+      return verifiedUser;
+    });
+
+    logger.info('Email verified successfully', { userId: user.id });
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      data: user
+    });
+  } catch (error) {
+    logger.error('Email verification error:', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+};
+
+router.get('/verify-email', verifyEmail);
+router.post('/verify-email', verifyEmail);
+
+// Resend verification email
+router.post('/verify-email/resend', authenticate, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    logger.info('Verification email resent', { userId: req.user.id });
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    logger.error('Resend verification email error:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
     });
   }
 });
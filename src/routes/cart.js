@@ -1,7 +1,13 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireVerifiedEmail } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { calculateTax } from '../lib/tax.js';
+import { getAvailableStock, reserveStock } from '../lib/stock.js';
+import { findCouponByCode, evaluateCoupon, summarizeCoupon } from '../lib/coupons.js';
+import { lineCents, withItemPricing } from '../lib/pricing.js';
+import { toCents, fromCents } from '../utils/money.js';
 
 const router = express.Router();
 
@@ -15,17 +21,52 @@ router.get('/', authenticate, async (req, res) => {
       include: {
         product_variants: {
           include: {
-            products: true
+            products: {
+              include: { categories: true }
+            }
           }
         }
       },
       orderBy: { added_at: 'desc' }
     });
 
-    // Calculate total
-    const total = cart.reduce((sum, item) => {
-      return sum + (item.quantity * item.product_variants.price);
-    }, 0);
+    // Calculate totals at list price and after category discounts
+    const listTotalCents = cart.reduce((sum, item) => sum + toCents(item.product_variants.price) * item.quantity, 0);
+    const totalCents = cart.reduce((sum, item) => sum + lineCents(item.product_variants, item.quantity), 0);
+    const total = fromCents(totalCents);
+
+    // An applied coupon that no longer qualifies stays on the cart with the reason
+    const cartCoupon = await prisma.cart_coupons.findUnique({
+      where: { user_id: userId },
+      include: { coupons: true }
+    });
+    let discount = null;
+    let couponError = null;
+    if (cartCoupon) {
+      try {
+        discount = await evaluateCoupon(cartCoupon.coupons, userId, cart.map(item => ({
+          variant: item.product_variants,
+          quantity: item.quantity
+        })));
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          throw error;
+        }
+        couponError = error.message;
+      }
+    }
+    const discountCents = discount?.discountCents || 0;
+
+    // Estimate tax for ?address_id or the default address; shipping is not known yet
+    const address = await prisma.addresses.findFirst({
+      where: req.query.address_id
+        ? { id: parseInt(req.query.address_id), user_id: userId }
+        : { user_id: userId, is_default: true }
+    });
+    const tax = address && await calculateTax(address, cart.map((item, index) => ({
+      amountCents: lineCents(item.product_variants, item.quantity) - (discount?.itemDiscountCents[index] || 0),
+      taxClass: item.product_variants.products.categories?.tax_class
+    })));
 
     logger.info('Cart fetched successfully', { 
       userId,
@@ -36,8 +77,18 @@ router.get('/', authenticate, async (req, res) => {
     res.json({
       success: true,
       count: cart.length,
+      list_total: fromCents(listTotalCents),
+      category_discount: fromCents(listTotalCents - totalCents),
       total,
-      data: cart
+      coupon: cartCoupon ? {
+        code: cartCoupon.coupons.code,
+        ...(discount ? summarizeCoupon(discount) : {}),
+        error: couponError
+      } : null,
+      discount: fromCents(discountCents),
+      tax_estimate: tax || null,
+      estimated_total: tax ? fromCents(totalCents - discountCents + toCents(tax.added)) : null,
+      data: cart.map(withItemPricing)
     });
   } catch (error) {
     logger.error('Error fetching cart:', { 
@@ -53,7 +104,7 @@ router.get('/', authenticate, async (req, res) => {
 });
 
 // Add item to cart
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, idempotent, async (req, res) => {
   try {
     const userId = req.user.id; // From auth middleware
     const { variant_id, quantity = 1 } = req.body;
@@ -74,13 +125,14 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Check stock
-    if (variant.stock_qty < quantity) {
+    // Check stock that is not held by other customers' checkouts
+    const available = (await getAvailableStock([variant.id], { userId })).get(variant.id);
+    if (available < quantity) {
       logger.warn('Attempt to add item with insufficient stock to cart', { 
         userId,
         variantId: variant_id,
         requestedQuantity: quantity,
-        availableStock: variant.stock_qty
+        availableStock: available
       });
       return res.status(400).json({
         success: false,
@@ -105,7 +157,9 @@ router.post('/', authenticate, async (req, res) => {
         include: {
           product_variants: {
             include: {
-              products: true
+              products: {
+                include: { categories: true }
+              }
             }
           }
         }
@@ -127,7 +181,9 @@ router.post('/', authenticate, async (req, res) => {
         include: {
           product_variants: {
             include: {
-              products: true
+              products: {
+                include: { categories: true }
+              }
             }
           }
         }
@@ -151,7 +207,7 @@ router.post('/', authenticate, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: cartItem
+      data: withItemPricing(cartItem)
     });
   } catch (error) {
     logger.error('Error adding item to cart:', { 
@@ -167,6 +223,130 @@ router.post('/', authenticate, async (req, res) => {
   }
 });
 
+// Apply a coupon code to the cart; it is checked again when the order is placed
+router.post('/coupon', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const cart = await prisma.cart_items.findMany({
+      where: { user_id: userId },
+      include: {
+        product_variants: {
+          include: {
+            products: {
+              include: { categories: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (cart.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const coupon = await findCouponByCode(code);
+    const discount = await evaluateCoupon(coupon, userId, cart.map(item => ({
+      variant: item.product_variants,
+      quantity: item.quantity
+    })));
+
+    // A cart holds one coupon; applying another replaces it
+    await prisma.cart_coupons.upsert({
+      where: { user_id: userId },
+      create: { user_id: userId, coupon_id: coupon.id },
+      update: { coupon_id: coupon.id, applied_at: new Date() }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: userId,
+        action: 'APPLY_COUPON',
+        description: `Applied coupon ${coupon.code} to cart`
+      }
+    });
+
+    logger.info('Coupon applied to cart', { 
+      userId,
+      couponId: coupon.id,
+      discount: discount.discountCents
+    });
+
+    res.json({
+      success: true,
+      data: summarizeCoupon(discount)
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      logger.warn('Coupon rejected', { 
+        userId: req.user.id,
+        code: req.body.code,
+        reason: error.message
+      });
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error applying coupon:', { 
+      error: error.message, 
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Remove the coupon from the cart
+router.delete('/coupon', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+
+    const { count } = await prisma.cart_coupons.deleteMany({
+      where: { user_id: userId }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No coupon applied to cart'
+      });
+    }
+
+    logger.info('Coupon removed from cart', { userId });
+
+    res.json({
+      success: true,
+      message: 'Coupon removed from cart'
+    });
+  } catch (error) {
+    logger.error('Error removing coupon from cart:', { 
+      error: error.message, 
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Update cart item quantity
 router.put('/:id', authenticate, async (req, res) => {
   try {
@@ -196,13 +376,14 @@ router.put('/:id', authenticate, async (req, res) => {
       });
     }
 
-    // Check stock
-    if (cartItem.product_variants.stock_qty < quantity) {
+    // Check stock that is not held by other customers' checkouts
+    const available = (await getAvailableStock([cartItem.variant_id], { userId })).get(cartItem.variant_id);
+    if (available < quantity) {
       logger.warn('Attempt to update cart item with insufficient stock', { 
         userId,
         cartItemId,
         requestedQuantity: quantity,
-        availableStock: cartItem.product_variants.stock_qty
+        availableStock: available
       });
       return res.status(400).json({
         success: false,
@@ -217,7 +398,9 @@ router.put('/:id', authenticate, async (req, res) => {
       include: {
         product_variants: {
           include: {
-            products: true
+            products: {
+              include: { categories: true }
+            }
           }
         }
       }
@@ -241,7 +424,7 @@ router.put('/:id', authenticate, async (req, res) => {
 
     res.json({
       success: true,
-      data: updatedItem
+      data: withItemPricing(updatedItem)
     });
   } catch (error) {
     logger.error('Error updating cart item:', { 
@@ -320,4 +503,70 @@ router.delete('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Start checkout: hold the cart's stock while the customer enters payment details.
+// Calling it again replaces the hold; placing the order takes it over.
+router.post('/checkout', authenticate, requireVerifiedEmail, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+
+    const cart = await prisma.cart_items.findMany({
+      where: { user_id: userId, variant_id: { not: null } }
+    });
+
+    if (cart.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const expiresAt = await prisma.$transaction(tx => reserveStock(
+      tx,
+      userId,
+      cart.map(item => ({ variant_id: item.variant_id, quantity: item.quantity }))
+    ));
+
+    logger.info('Checkout stock reserved', { 
+      userId,
+      itemCount: cart.length,
+      expiresAt
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reserved_until: expiresAt,
+        items: cart.map(item => ({ variant_id: item.variant_id, quantity: item.quantity }))
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'InsufficientStockError') {
+      logger.warn('Checkout attempt with insufficient stock', {
+        userId: req.user.id,
+        variants: error.variants
+      });
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        variants: error.variants
+      });
+    }
+    logger.error('Error starting checkout:', { 
+      error: error.message, 
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 export default router; 
\ No newline at end of file
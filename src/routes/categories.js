@@ -1,7 +1,7 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
-import { authenticate, authorizeAdmin } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { validateCategory } from '../middleware/validation.js';
 
 const router = express.Router();
@@ -71,15 +71,17 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create category (admin only)
-router.post('/', authenticate, authorizeAdmin, validateCategory, async (req, res) => {
+// Create category (requires categories:write)
+router.post('/', authenticate, requirePermission('categories:write'), validateCategory, async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, tax_class, discount } = req.body;
 
     const category = await prisma.categories.create({
       data: {
         name,
-        description
+        description,
+        tax_class,
+        discount
       }
     });
 
@@ -112,17 +114,19 @@ router.post('/', authenticate, authorizeAdmin, validateCategory, async (req, res
   }
 });
 
-// Update category (admin only)
-router.put('/:id', authenticate, authorizeAdmin, validateCategory, async (req, res) => {
+// Update category (requires categories:write)
+router.put('/:id', authenticate, requirePermission('categories:write'), validateCategory, async (req, res) => {
   try {
     const categoryId = parseInt(req.params.id);
-    const { name, description } = req.body;
+    const { name, description, tax_class, discount } = req.body;
 
     const category = await prisma.categories.update({
       where: { id: categoryId },
       data: {
         name,
-        description
+        description,
+        tax_class,
+        discount
       }
     });
 
@@ -161,8 +165,8 @@ router.put('/:id', authenticate, authorizeAdmin, validateCategory, async (req, r
   }
 });
 
-// Delete category (admin only)
-router.delete('/:id', authenticate, authorizeAdmin, async (req, res) => {
+// Delete category (requires categories:write)
+router.delete('/:id', authenticate, requirePermission('categories:write'), async (req, res) => {
   try {
     const categoryId = parseInt(req.params.id);
 
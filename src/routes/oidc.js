@@ -0,0 +1,329 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import logger from '../lib/logger.js';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { startLoginSession } from '../lib/sessions.js';
+import { isLocked } from '../lib/loginThrottle.js';
+import { isTwoFactorEnabled, createLoginChallenge } from '../lib/twoFactor.js';
+import {
+  getConfiguredProviders,
+  getProvider,
+  createAuthorizationRequest,
+  completeAuthorization
+} from '../lib/oidc.js';
+
+const router = express.Router();
+
+// Resolve :provider or answer 404
+const loadProvider = (req, res, next) => {
+  const provider = getProvider(req.params.provider);
+  if (!provider) {
+    return res.status(404).json({
+      success: false,
+      message: 'Unknown login provider'
+    });
+  }
+  req.oidcProvider = provider;
+  next();
+};
+
+// List configured providers
+router.get('/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: getConfiguredProviders()
+  });
+});
+
+// List identities linked to the current user
+router.get('/identities', authenticate, async (req, res) => {
+  try {
+    const identities = await prisma.user_identities.findMany({
+      where: { user_id: req.user.id },
+      select: {
+        provider: true,
+        email: true,
+        created_at: true,
+        last_login_at: true
+      }
+    });
+
+    res.json({
+      success: true,
+      count: identities.length,
+      data: identities
+    });
+  } catch (error) {
+    logger.error('Error fetching linked identities:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Unlink a provider
+router.delete('/identities/:provider', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { provider } = req.params;
+
+    const identities = await prisma.user_identities.findMany({
+      where: { user_id: userId }
+    });
+    const identity = identities.find(item => item.provider === provider);
+
+    if (!identity) {
+      return res.status(404).json({
+        success: false,
+        message: 'No linked account for this provider'
+      });
+    }
+
+    // Never leave an account without any way to log in
+    if (!req.user.password_hash && identities.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a password before unlinking your only login method'
+      });
+    }
+
+    await prisma.user_identities.delete({
+      where: { id: identity.id }
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: userId,
+        action: 'UNLINK_IDENTITY',
+        description: `Unlinked ${provider} account`
+      }
+    });
+
+    logger.info('Identity unlinked successfully', { userId, provider });
+
+    res.json({
+      success: true,
+      message: 'Account unlinked'
+    });
+  } catch (error) {
+    logger.error('Error unlinking identity:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      provider: req.params.provider
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start login with a provider
+router.get('/:provider/authorize', loadProvider, async (req, res) => {
+  try {
+    const authorizationUrl = await createAuthorizationRequest(req.oidcProvider);
+
+    res.json({
+      success: true,
+      data: { authorization_url: authorizationUrl }
+    });
+  } catch (error) {
+    logger.error('Error starting OIDC login:', {
+      error: error.message,
+      stack: error.stack,
+      provider: req.params.provider
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start linking a provider to the current account
+router.post('/:provider/link', authenticate, loadProvider, async (req, res) => {
+  try {
+    const authorizationUrl = await createAuthorizationRequest(req.oidcProvider, { userId: req.user.id });
+
+    res.json({
+      success: true,
+      data: { authorization_url: authorizationUrl }
+    });
+  } catch (error) {
+    logger.error('Error starting OIDC link:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      provider: req.params.provider
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Finish a login or link with the code and state the provider redirected back with
+router.post('/:provider/callback', optionalAuth, loadProvider, async (req, res) => {
+  const provider = req.oidcProvider;
+
+  try {
+    const profile = await completeAuthorization(provider, req.body);
+
+    const existingIdentity = await prisma.user_identities.findUnique({
+      where: {
+        provider_subject: {
+          provider: provider.name,
+          subject: profile.subject
+        }
+      },
+      include: { users: true }
+    });
+
+    // Linking flow: must be completed by the same logged-in user who started it
+    if (profile.linkUserId) {
+      if (!req.user || req.user.id !== profile.linkUserId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Log in to the account you are linking'
+        });
+      }
+
+      if (existingIdentity && existingIdentity.user_id !== req.user.id) {
+        return res.status(409).json({
+          success: false,
+          message: 'This login is already linked to another account'
+        });
+      }
+
+      const identity = existingIdentity || await prisma.user_identities.create({
+        data: {
+          user_id: req.user.id,
+          provider: provider.name,
+          subject: profile.subject,
+          email: profile.email
+        }
+      });
+
+      // Log activity
+      await prisma.activity_logs.create({
+        data: {
+          user_id: req.user.id,
+          action: 'LINK_IDENTITY',
+          description: `Linked ${provider.name} account`
+        }
+      });
+
+      logger.info('Identity linked successfully', { userId: req.user.id, provider: provider.name });
+
+      return res.json({
+        success: true,
+        message: 'Account linked',
+        data: {
+          provider: identity.provider,
+          email: identity.email,
+          created_at: identity.created_at
+        }
+      });
+    }
+
+    let user = existingIdentity?.users;
+
+    if (existingIdentity) {
+      await prisma.user_identities.update({
+        where: { id: existingIdentity.id },
+        data: { last_login_at: new Date() }
+      });
+    } else {
+      if (!profile.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'The provider did not share an email address'
+        });
+      }
+
+      // Existing email accounts are only joined through an explicit link
+      const emailOwner = await prisma.users.findUnique({
+        where: { email: profile.email }
+      });
+      if (emailOwner) {
+        logger.warn('OIDC login for email that belongs to an unlinked account', {
+          provider: provider.name,
+          email: profile.email
+        });
+        return res.status(409).json({
+          success: false,
+          message: `An account with this email already exists. Log in and link ${provider.name} from your account settings.`
+        });
+      }
+
+      user = await prisma.users.create({
+        data: {
+          email: profile.email,
+          name: profile.name,
+          email_verified_at: profile.emailVerified ? new Date() : null,
+          user_identities: {
+            create: {
+              provider: provider.name,
+              subject: profile.subject,
+              email: profile.email,
+              last_login_at: new Date()
+            }
+          }
+        }
+      });
+
+      logger.info('New user registered through OIDC', { userId: user.id, provider: provider.name });
+    }
+
+    if (isLocked(user)) {
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        locked_until: user.locked_until
+      });
+    }
+
+    if (isTwoFactorEnabled(user)) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: createLoginChallenge(user.id)
+      });
+    }
+
+    res.json(await startLoginSession(user, req, { method: `oidc:${provider.name}` }));
+  } catch (error) {
+    if (error.name === 'UnauthorizedError' || error.name === 'ValidationError') {
+      logger.warn('OIDC callback rejected', { provider: provider.name, reason: error.message, ip: req.ip });
+      return res.status(error.name === 'ValidationError' ? 400 : 401).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        success: false,
+        message: `A ${provider.name} account is already linked`
+      });
+    }
+    logger.error('OIDC callback error:', {
+      error: error.message,
+      stack: error.stack,
+      provider: provider.name
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+export default router;
@@ -1,7 +1,21 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, requireVerifiedEmail } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { findChargeablePaymentMethod, createPaymentIntent } from '../lib/payments.js';
+import { hasPermission } from '../lib/permissions.js';
+import { cancelOrder } from '../lib/orderCancellation.js';
+import { buildShippingSnapshot } from '../lib/shippingAddress.js';
+import { quoteShipping } from '../lib/shipping.js';
+import { calculateTax } from '../lib/tax.js';
+import { shipmentInclude } from '../lib/shipments.js';
+import { getOrderInvoice, formatInvoiceNumber } from '../lib/invoices.js';
+import { renderInvoicePdf } from '../lib/orderDocuments.js';
+import { toCents, fromCents } from '../utils/money.js';
+import { reserveStock } from '../lib/stock.js';
+import { findCouponByCode, evaluateCoupon, claimCoupon } from '../lib/coupons.js';
+import { priceVariant, lineCents } from '../lib/pricing.js';
 
 const router = express.Router();
 
@@ -69,6 +83,19 @@ router.get('/:id', authenticate, async (req, res) => {
               }
             }
           }
+        },
+        tax_lines: true,
+        payments: {
+          select: {
+            id: true,
+            status: true,
+            amount: true,
+            amount_refunded: true,
+            currency: true,
+            failure_message: true,
+            created_at: true
+          },
+          orderBy: { created_at: 'desc' }
         }
       }
     });
@@ -109,11 +136,228 @@ router.get('/:id', authenticate, async (req, res) => {
   }
 });
 
+// Get order status history; staff with orders:read can see any order
+router.get('/:id/history', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const orderId = parseInt(req.params.id);
+    const isStaff = hasPermission(req.user.permissions, 'orders:read');
+
+    const order = await prisma.orders.findFirst({
+      where: isStaff ? { id: orderId } : { id: orderId, user_id: userId },
+      select: { id: true, status: true }
+    });
+
+    if (!order) {
+      logger.warn('Attempt to access history of non-existent order', { userId, orderId });
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const history = await prisma.order_status_history.findMany({
+      where: { order_id: orderId },
+      include: {
+        users: {
+          select: { id: true, name: true, email: true }
+        }
+      },
+      orderBy: { created_at: 'asc' }
+    });
+
+    // Customers see what happened, staff also see who did it
+    const data = history.map(({ users, changed_by, ...entry }) => ({
+      ...entry,
+      ...(isStaff && { changed_by: users })
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        order_id: order.id,
+        status: order.status,
+        history: data
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching order history:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      orderId: req.params.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get the shipments of an order; staff with orders:read can see any order
+router.get('/:id/shipments', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const orderId = parseInt(req.params.id);
+    const isStaff = hasPermission(req.user.permissions, 'orders:read');
+
+    const order = await prisma.orders.findFirst({
+      where: isStaff ? { id: orderId } : { id: orderId, user_id: userId },
+      select: { id: true, status: true }
+    });
+
+    if (!order) {
+      logger.warn('Attempt to access shipments of non-existent order', { userId, orderId });
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const shipments = await prisma.shipments.findMany({
+      where: { order_id: orderId },
+      include: shipmentInclude,
+      orderBy: { created_at: 'asc' }
+    });
+
+    // Staff also see who created each shipment
+    const data = shipments.map(({ created_by, ...shipment }) => ({
+      ...shipment,
+      ...(isStaff && { created_by })
+    }));
+
+    res.json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    logger.error('Error fetching order shipments:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      orderId: req.params.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Download the invoice of a paid order; staff with orders:read can get any invoice
+router.get('/:id/invoice.pdf', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const orderId = parseInt(req.params.id);
+    const isStaff = hasPermission(req.user.permissions, 'orders:read');
+
+    const order = await prisma.orders.findFirst({
+      where: isStaff ? { id: orderId } : { id: orderId, user_id: userId },
+      include: {
+        order_items: true,
+        tax_lines: true,
+        coupon_redemption: true
+      }
+    });
+
+    if (!order) {
+      logger.warn('Attempt to get invoice of non-existent order', { userId, orderId });
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const invoice = await getOrderInvoice(order);
+    const pdf = await renderInvoicePdf(order, invoice);
+
+    logger.info('Invoice generated', { userId, orderId, invoiceNumber: invoice.number });
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${formatInvoiceNumber(invoice.number)}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error generating invoice:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      orderId: req.params.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Cancel own order before it ships
+router.post('/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const orderId = parseInt(req.params.id);
+    const { reason } = req.body;
+
+    const order = await prisma.orders.findFirst({
+      where: {
+        id: orderId,
+        user_id: userId
+      },
+      select: { id: true }
+    });
+
+    if (!order) {
+      logger.warn('Attempt to cancel non-existent order', { userId, orderId });
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const cancelledOrder = await cancelOrder(orderId, {
+      cancelledBy: userId,
+      reason: reason ? String(reason).slice(0, 255) : null
+    });
+
+    res.json({
+      success: true,
+      message: cancelledOrder.refund_status === 'manual_required'
+        ? 'Order cancelled. Your refund will be processed by our team.'
+        : 'Order cancelled',
+      data: cancelledOrder
+    });
+  } catch (error) {
+    if (error.name === 'ConflictError') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error cancelling order:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      orderId: req.params.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Create new order
-router.post('/', authenticate, async (req, res) => {
+router.post('/', authenticate, requireVerifiedEmail, idempotent, async (req, res) => {
   try {
     const userId = req.user.id; // From auth middleware
-    const { items, payment_method } = req.body;
+    const { items, payment_method_id, address_id, shipping_address, phone, shipping_method, coupon_code } = req.body;
 
     if (!items || !Array.isArray(items) || items.length === 0) {
       logger.warn('Invalid order creation attempt - empty items', { userId });
@@ -137,11 +381,15 @@ router.post('/', authenticate, async (req, res) => {
       }
     }
 
-    // Fetch product variants to validate availability and get prices
-    const variantIds = items.map(item => item.variant_id);
+    // Fetch product variants to get prices; the same variant may be listed more than once
+    const variantIds = [...new Set(items.map(item => item.variant_id))];
     const variants = await prisma.product_variants.findMany({
       where: { id: { in: variantIds } },
-      include: { products: true }
+      include: {
+        products: {
+          include: { categories: true }
+        }
+      }
     });
 
     // Check if all requested variants exist
@@ -157,50 +405,92 @@ router.post('/', authenticate, async (req, res) => {
       });
     }
 
-    // Check stock availability and calculate total
-    let totalAmount = 0;
+    // Calculate total in cents at the discounted prices; stock is checked when it is reserved inside the transaction
+    let totalCents = 0;
     const orderItems = [];
 
     for (const item of items) {
       const variant = variants.find(v => v.id === item.variant_id);
-      
-      if (variant.stock_qty < item.quantity) {
-        logger.warn('Order creation attempt with insufficient stock', { 
-          userId,
-          variantId: variant.id,
-          productName: variant.products.name,
-          requestedQuantity: item.quantity,
-          availableStock: variant.stock_qty
-        });
-        return res.status(400).json({
-          success: false,
-          message: `Not enough stock for "${variant.products.name}" (${variant.color}, ${variant.size})`
-        });
-      }
+      const pricing = priceVariant(variant);
+
+      totalCents += lineCents(variant, item.quantity);
 
-      totalAmount += variant.price * item.quantity;
-      
       orderItems.push({
         variant_id: variant.id,
         product_name: variant.products.name,
         size: variant.size,
         color: variant.color,
         edition: variant.edition,
-        unit_price: variant.price,
+        list_price: pricing.list_price,
+        unit_price: pricing.final_price,
         quantity: item.quantity
       });
     }
 
+    const paymentMethod = await findChargeablePaymentMethod(userId, payment_method_id);
+    const shipping = await buildShippingSnapshot(req.user, { address_id, shipping_address, phone });
+    const pricedItems = items.map(item => ({
+      variant: variants.find(v => v.id === item.variant_id),
+      quantity: item.quantity
+    }));
+    const shippingOption = await quoteShipping(shipping, pricedItems, shipping_method);
+    totalCents += toCents(shippingOption.cost);
+
+    // A coupon_code in the body wins over the one applied to the cart
+    let coupon = null;
+    if (coupon_code) {
+      coupon = await findCouponByCode(coupon_code);
+    } else {
+      const cartCoupon = await prisma.cart_coupons.findUnique({
+        where: { user_id: userId },
+        include: { coupons: true }
+      });
+      coupon = cartCoupon?.coupons || null;
+    }
+    const discount = (coupon || coupon_code) ? await evaluateCoupon(coupon, userId, pricedItems) : null;
+
+    // Free shipping is a discount of the shipping cost, so the order still shows what it would have cost
+    const shippingDiscountCents = discount?.freeShipping ? toCents(shippingOption.cost) : 0;
+    const discountCents = (discount?.discountCents || 0) + shippingDiscountCents;
+    discount?.itemDiscountCents.forEach((cents, index) => {
+      orderItems[index].discount_amount = fromCents(cents);
+    });
+    totalCents -= discountCents;
+
+    const tax = await calculateTax(
+      { country: shipping.shipping_country, state: shipping.shipping_state },
+      pricedItems.map(({ variant, quantity }, index) => ({
+        amountCents: lineCents(variant, quantity) - (discount?.itemDiscountCents[index] || 0),
+        taxClass: variant.products.categories?.tax_class
+      })),
+      toCents(shippingOption.cost) - shippingDiscountCents
+    );
+    totalCents += toCents(tax.added);
+    const totalAmount = fromCents(totalCents);
+
     // Start a transaction to ensure atomicity
     const order = await prisma.$transaction(async (tx) => {
-      // Create the order
+      if (discount) {
+        await claimCoupon(tx, discount.coupon, userId);
+      }
+
+      // Create the order; it stays pending until the payment succeeds
       const newOrder = await tx.orders.create({
         data: {
           user_id: userId,
           total_amount: totalAmount,
-          payment_method: payment_method || 'Credit Card',
-          is_paid: true, // Assuming payment is processed externally
-          status: 'processing',
+          payment_method: `${paymentMethod.brand} ending in ${paymentMethod.last4}`,
+          is_paid: false,
+          status: 'pending',
+          ...shipping,
+          shipping_method: shippingOption.method,
+          shipping_cost: shippingOption.cost,
+          tax_amount: tax.amount,
+          tax_inclusive: tax.inclusive,
+          discount_amount: fromCents(discountCents),
+          tax_lines: {
+            create: tax.lines
+          },
           order_items: {
             create: orderItems
           }
@@ -210,14 +500,28 @@ router.post('/', authenticate, async (req, res) => {
         }
       });
 
-      // Update stock for each variant
-      for (const item of items) {
-        await tx.product_variants.update({
-          where: { id: item.variant_id },
+      // Hold the stock while the customer pays, taking over their checkout hold;
+      // rolls everything back if someone else got there first
+      await reserveStock(tx, userId, items, { orderId: newOrder.id });
+
+      await tx.order_status_history.create({
+        data: {
+          order_id: newOrder.id,
+          to_status: 'pending',
+          changed_by: userId,
+          note: 'Order placed'
+        }
+      });
+
+      if (discount) {
+        await tx.coupon_redemptions.create({
           data: {
-            stock_qty: {
-              decrement: item.quantity
-            }
+            coupon_id: discount.coupon.id,
+            order_id: newOrder.id,
+            user_id: userId,
+            code: discount.coupon.code,
+            discount_amount: fromCents(discountCents),
+            free_shipping: discount.freeShipping
           }
         });
       }
@@ -226,6 +530,9 @@ router.post('/', authenticate, async (req, res) => {
       await tx.cart_items.deleteMany({
         where: { user_id: userId }
       });
+      await tx.cart_coupons.deleteMany({
+        where: { user_id: userId }
+      });
 
       // Log activity
       await tx.activity_logs.create({
@@ -239,19 +546,51 @@ router.post('/', authenticate, async (req, res) => {
       return newOrder;
     });
 
+    const payment = await createPaymentIntent(order, paymentMethod);
+    const placedOrder = await prisma.orders.findUnique({
+      where: { id: order.id },
+      include: { order_items: true, tax_lines: true, coupon_redemption: true }
+    });
+
     logger.info('Order created successfully', { 
       userId,
       orderId: order.id,
       itemCount: items.length,
       totalAmount,
-      paymentMethod: payment_method || 'Credit Card'
+      paymentId: payment.id,
+      paymentStatus: payment.status
     });
 
+    if (payment.status === 'failed') {
+      return res.status(402).json({
+        success: false,
+        message: `Order placed but payment failed: ${payment.failure_message || 'unknown error'}. Retry with POST /api/payments.`,
+        data: { ...placedOrder, payment }
+      });
+    }
+
     res.status(201).json({
       success: true,
-      data: order
+      data: { ...placedOrder, payment }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    if (error.name === 'InsufficientStockError') {
+      logger.warn('Order creation attempt with insufficient stock', {
+        userId: req.user.id,
+        variants: error.variants
+      });
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        variants: error.variants
+      });
+    }
     logger.error('Error creating order:', { 
       error: error.message, 
       stack: error.stack,
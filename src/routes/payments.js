@@ -0,0 +1,220 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import logger from '../lib/logger.js';
+import { authenticate, rejectApiKey, requirePermission, requireVerifiedEmail } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
+import {
+  findChargeablePaymentMethod,
+  createPaymentIntent,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  verifyWebhook,
+  handleWebhookEvent
+} from '../lib/payments.js';
+
+const router = express.Router();
+
+// Payment service errors that are the caller's fault
+const PAYMENT_ERROR_STATUS = {
+  ValidationError: 400,
+  NotFoundError: 404,
+  ConflictError: 409
+};
+
+// Provider notifications; the body arrives raw so the signature can be checked
+router.post('/webhook', async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    const event = verifyWebhook(rawBody, req.headers);
+
+    if (!event) {
+      logger.warn('Payment webhook with invalid signature', { ip: req.ip });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid signature'
+      });
+    }
+
+    const result = await handleWebhookEvent(event);
+
+    res.json({
+      success: true,
+      duplicate: result.duplicate
+    });
+  } catch (error) {
+    logger.error('Payment webhook error:', {
+      error: error.message,
+      stack: error.stack
+    });
+    // A 5xx makes the provider retry the event later
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Pay for a pending order, e.g. after a declined card
+router.post('/', rejectApiKey, authenticate, requireVerifiedEmail, idempotent, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const { order_id, payment_method_id } = req.body;
+
+    const order = await prisma.orders.findFirst({
+      where: {
+        id: parseInt(order_id),
+        user_id: userId
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const paymentMethod = await findChargeablePaymentMethod(userId, payment_method_id);
+    const payment = await createPaymentIntent(order, paymentMethod);
+
+    if (payment.status === 'failed') {
+      logger.warn('Order payment failed', { userId, orderId: order.id, paymentId: payment.id });
+      return res.status(402).json({
+        success: false,
+        message: payment.failure_message || 'Payment failed',
+        data: payment
+      });
+    }
+
+    logger.info('Order payment processed', { userId, orderId: order.id, paymentId: payment.id, status: payment.status });
+    res.status(201).json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    if (PAYMENT_ERROR_STATUS[error.name]) {
+      return res.status(PAYMENT_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error paying order:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      orderId: req.body.order_id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Capture an authorized payment
+router.post('/:id/capture', authenticate, requirePermission('payments:manage'), idempotent, async (req, res) => {
+  try {
+    const payment = await capturePayment(parseInt(req.params.id));
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'CAPTURE_PAYMENT',
+        description: `Captured payment #${payment.id} for order #${payment.order_id}`
+      }
+    });
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    if (PAYMENT_ERROR_STATUS[error.name]) {
+      return res.status(PAYMENT_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error capturing payment:', { error: error.message, stack: error.stack, paymentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Void an authorized payment
+router.post('/:id/void', authenticate, requirePermission('payments:manage'), idempotent, async (req, res) => {
+  try {
+    const payment = await voidPayment(parseInt(req.params.id));
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'VOID_PAYMENT',
+        description: `Voided payment #${payment.id} for order #${payment.order_id}`
+      }
+    });
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    if (PAYMENT_ERROR_STATUS[error.name]) {
+      return res.status(PAYMENT_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error voiding payment:', { error: error.message, stack: error.stack, paymentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Refund a captured payment, fully or partially
+router.post('/:id/refund', authenticate, requirePermission('payments:manage'), idempotent, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const { payment, refund } = await refundPayment(parseInt(req.params.id), {
+      amount,
+      reason,
+      userId: req.user.id
+    });
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: req.user.id,
+        action: 'REFUND_PAYMENT',
+        description: `Refunded ${refund.amount} of payment #${payment.id} for order #${payment.order_id}`
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { payment, refund }
+    });
+  } catch (error) {
+    if (PAYMENT_ERROR_STATUS[error.name]) {
+      return res.status(PAYMENT_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error refunding payment:', { error: error.message, stack: error.stack, paymentId: req.params.id });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
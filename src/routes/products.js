@@ -1,6 +1,8 @@
 import express from 'express';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
+import { withAvailableStock } from '../lib/stock.js';
+import { withProductPricing } from '../lib/pricing.js';
 
 const router = express.Router();
 
@@ -58,7 +60,7 @@ router.get('/', async (req, res) => {
     res.json({
       success: true,
       count: products.length,
-      data: products
+      data: await withAvailableStock(products.map(withProductPricing))
     });
   } catch (error) {
     logger.error('Error fetching products:', { 
@@ -97,7 +99,7 @@ router.get('/featured', async (req, res) => {
 
     res.json({
       success: true,
-      data: featuredProducts
+      data: await withAvailableStock(featuredProducts.map(withProductPricing))
     });
   } catch (error) {
     logger.error('Error fetching featured products:', { 
@@ -159,9 +161,11 @@ router.get('/:id', async (req, res) => {
       reviewCount: product.reviews.length
     });
 
+    const [productWithStock] = await withAvailableStock([withProductPricing(product)]);
+
     res.json({
       success: true,
-      data: product
+      data: productWithStock
     });
   } catch (error) {
     logger.error('Error fetching product details:', { 
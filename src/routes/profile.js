@@ -1,10 +1,26 @@
 import express from 'express';
+import bcrypt from 'bcryptjs';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
 import { authenticate } from '../middleware/auth.js';
+import { validatePaymentMethod } from '../middleware/validation.js';
+import { buildAccountExport, writeAccountExportZip, anonymizeUser } from '../lib/accountData.js';
+import { tokenizeCard, deleteCardToken } from '../lib/paymentVault.js';
+import { parseExpiry, isExpired } from '../utils/cards.js';
 
 const router = express.Router();
 
+// Card fields safe to return to the client; the vault token stays server-side
+const paymentMethodSelect = {
+  id: true,
+  brand: true,
+  last4: true,
+  expiry_date: true,
+  card_holder_name: true,
+  is_default: true,
+  created_at: true
+};
+
 // Get user profile
 router.get('/', authenticate, async (req, res) => {
   try {
@@ -18,7 +34,9 @@ router.get('/', authenticate, async (req, res) => {
         name: true,
         created_at: true,
         addresses: true,
-        payment_methods: true
+        payment_methods: {
+          select: paymentMethodSelect
+        }
       }
     });
 
@@ -101,6 +119,113 @@ router.put('/', authenticate, async (req, res) => {
   }
 });
 
+// Download all personal data as JSON, or as a ZIP with ?format=zip
+router.get('/export', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const format = req.query.format === 'zip' ? 'zip' : 'json';
+
+    if (req.impersonator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Data exports are only available to the account owner'
+      });
+    }
+
+    const data = await buildAccountExport(userId);
+
+    // Log activity
+    await prisma.activity_logs.create({
+      data: {
+        user_id: userId,
+        action: 'EXPORT_ACCOUNT_DATA',
+        description: `Exported account data as ${format.toUpperCase()}`
+      }
+    });
+
+    logger.info('Account data exported successfully', { userId, format });
+
+    const fileName = `account-export-${userId}-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'zip') {
+      res.attachment(`${fileName}.zip`);
+      return await writeAccountExportZip(data, res);
+    }
+
+    res.attachment(`${fileName}.json`);
+    res.send(JSON.stringify({ success: true, data }, null, 2));
+  } catch (error) {
+    logger.error('Error exporting account data:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Delete account: personal data is erased, orders are kept anonymized
+router.delete('/', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const { password, email } = req.body;
+
+    if (req.impersonator) {
+      return res.status(403).json({
+        success: false,
+        message: 'Accounts can only be deleted by their owner'
+      });
+    }
+
+    // Staff must lose their roles first so admin access is never deleted by accident
+    if (req.user.roles.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff accounts must have their roles removed before they can be deleted'
+      });
+    }
+
+    // Confirm with the password, or the email address for accounts without one
+    const confirmed = req.user.password_hash
+      ? !!password && await bcrypt.compare(password, req.user.password_hash)
+      : !!email && email.toLowerCase() === req.user.email.toLowerCase();
+
+    if (!confirmed) {
+      logger.warn('Account deletion with invalid confirmation', { userId });
+      return res.status(400).json({
+        success: false,
+        message: req.user.password_hash
+          ? 'Your current password is required to delete your account'
+          : 'Your email address is required to delete your account'
+      });
+    }
+
+    await anonymizeUser(userId);
+
+    logger.info('Account deleted and anonymized', { userId });
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting account:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
 // Add address
 router.post('/addresses', authenticate, async (req, res) => {
   try {
@@ -300,11 +425,18 @@ router.delete('/addresses/:id', authenticate, async (req, res) => {
 });
 
 // Add payment method
-router.post('/payment-methods', authenticate, async (req, res) => {
+router.post('/payment-methods', authenticate, validatePaymentMethod, async (req, res) => {
   try {
     const userId = req.user.id; // From auth middleware
     const { card_number, expiry_date, card_holder_name, is_default } = req.body;
 
+    // Card details go to the vault; only the token and display fields are stored
+    const card = await tokenizeCard({
+      card_number,
+      expiry: parseExpiry(expiry_date),
+      card_holder_name
+    });
+
     // If this is the first payment method or marked as default, update others
     if (is_default) {
       await prisma.payment_methods.updateMany({
@@ -316,11 +448,12 @@ router.post('/payment-methods', authenticate, async (req, res) => {
     const paymentMethod = await prisma.payment_methods.create({
       data: {
         user_id: userId,
-        card_number,
+        ...card,
         expiry_date,
         card_holder_name,
         is_default
-      }
+      },
+      select: paymentMethodSelect
     });
 
     // Log activity
@@ -328,7 +461,7 @@ router.post('/payment-methods', authenticate, async (req, res) => {
       data: {
         user_id: userId,
         action: 'ADD_PAYMENT_METHOD',
-        description: 'Added new payment method'
+        description: `Added ${card.brand} card ending in ${card.last4}`
       }
     });
 
@@ -343,6 +476,13 @@ router.post('/payment-methods', authenticate, async (req, res) => {
       data: paymentMethod
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      logger.warn('Card rejected by payment vault', { userId: req.user.id, reason: error.message });
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
     logger.error('Error adding payment method:', { 
       error: error.message, 
       stack: error.stack,
@@ -362,6 +502,24 @@ router.put('/payment-methods/:id', authenticate, async (req, res) => {
     const paymentMethodId = parseInt(req.params.id);
     const { card_number, expiry_date, card_holder_name, is_default } = req.body;
 
+    // The number is only known to the vault, so a new card means a new payment method
+    if (card_number) {
+      return res.status(400).json({
+        success: false,
+        message: 'Card numbers cannot be changed; add a new payment method instead'
+      });
+    }
+
+    if (expiry_date !== undefined) {
+      const expiry = parseExpiry(expiry_date);
+      if (!expiry || isExpired(expiry)) {
+        return res.status(400).json({
+          success: false,
+          message: expiry ? 'Card has expired' : 'Invalid expiry date format (MM/YY)'
+        });
+      }
+    }
+
     // Check if payment method exists and belongs to user
     const paymentMethod = await prisma.payment_methods.findFirst({
       where: {
@@ -392,11 +550,11 @@ router.put('/payment-methods/:id', authenticate, async (req, res) => {
     const updatedPaymentMethod = await prisma.payment_methods.update({
       where: { id: paymentMethodId },
       data: {
-        card_number,
         expiry_date,
         card_holder_name,
         is_default
-      }
+      },
+      select: paymentMethodSelect
     });
 
     // Log activity
@@ -461,6 +619,8 @@ router.delete('/payment-methods/:id', authenticate, async (req, res) => {
       where: { id: paymentMethodId }
     });
 
+    await deleteCardToken(paymentMethod);
+
     // Log activity
     await prisma.activity_logs.create({
       data: {
@@ -0,0 +1,113 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import logger from '../lib/logger.js';
+import { authenticate } from '../middleware/auth.js';
+import { createReturnRequest, returnInclude } from '../lib/returns.js';
+
+const router = express.Router();
+
+// Return service errors that are the caller's fault
+const RETURN_ERROR_STATUS = {
+  ValidationError: 400,
+  NotFoundError: 404,
+  ConflictError: 409
+};
+
+// Get user's returns
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const returns = await prisma.returns.findMany({
+      where: { user_id: req.user.id },
+      include: returnInclude,
+      orderBy: { created_at: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      count: returns.length,
+      data: returns
+    });
+  } catch (error) {
+    logger.error('Error fetching returns:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Get single return
+router.get('/:id', authenticate, async (req, res) => {
+  try {
+    const returnRequest = await prisma.returns.findFirst({
+      where: {
+        id: parseInt(req.params.id),
+        user_id: req.user.id
+      },
+      include: returnInclude
+    });
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    logger.error('Error fetching return:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      returnId: req.params.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Request a return or exchange for items of a delivered order
+router.post('/', authenticate, async (req, res) => {
+  try {
+    const { order_id, type = 'return', items, note } = req.body;
+
+    const returnRequest = await createReturnRequest(req.user.id, { order_id, type, items, note });
+
+    logger.info('Return requested', { userId: req.user.id, returnId: returnRequest.id, orderId: returnRequest.order_id });
+
+    res.status(201).json({
+      success: true,
+      data: returnRequest
+    });
+  } catch (error) {
+    if (RETURN_ERROR_STATUS[error.name]) {
+      logger.warn('Return request rejected', { userId: req.user.id, orderId: req.body.order_id, reason: error.message });
+      return res.status(RETURN_ERROR_STATUS[error.name]).json({
+        success: false,
+        message: error.message
+      });
+    }
+    logger.error('Error requesting return:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id,
+      orderId: req.body.order_id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
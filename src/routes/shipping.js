@@ -0,0 +1,83 @@
+import express from 'express';
+import prisma from '../lib/prisma.js';
+import logger from '../lib/logger.js';
+import { authenticate } from '../middleware/auth.js';
+import { findShippingZone, summarizeItems, getShippingOptions } from '../lib/shipping.js';
+import { fromCents } from '../utils/money.js';
+
+const router = express.Router();
+
+// Shipping options for the user's cart; ships to ?address_id, ?country and ?state, or the default address
+router.get('/rates', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id; // From auth middleware
+    const { address_id, country, state } = req.query;
+
+    let destination = { country, state };
+    if (!country) {
+      destination = await prisma.addresses.findFirst({
+        where: address_id
+          ? { id: parseInt(address_id), user_id: userId }
+          : { user_id: userId, is_default: true }
+      });
+
+      if (!destination) {
+        return res.status(400).json({
+          success: false,
+          message: address_id ? 'Address not found' : 'Choose an address or a country'
+        });
+      }
+    }
+
+    const cart = await prisma.cart_items.findMany({
+      where: { user_id: userId },
+      include: {
+        product_variants: {
+          include: {
+            products: {
+              include: { categories: true }
+            }
+          }
+        }
+      }
+    });
+
+    if (cart.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    const summary = summarizeItems(cart.map(item => ({
+      variant: item.product_variants,
+      quantity: item.quantity
+    })));
+    const zone = await findShippingZone(destination);
+    const rates = getShippingOptions(zone, summary);
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: {
+        zone: zone ? { id: zone.id, name: zone.name } : null,
+        subtotal: fromCents(summary.subtotalCents),
+        item_count: summary.itemCount,
+        weight_grams: summary.weightGrams,
+        rates
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching shipping rates:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
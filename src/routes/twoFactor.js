@@ -0,0 +1,350 @@
+import express from 'express';
+import bcrypt from 'bcryptjs';
+import prisma from '../lib/prisma.js';
+import logger from '../lib/logger.js';
+import { authenticate } from '../middleware/auth.js';
+import { startLoginSession } from '../lib/sessions.js';
+import { generateSecret, buildOtpauthUri } from '../lib/totp.js';
+import { isLocked, recordLoginFailure, recordLoginSuccess } from '../lib/loginThrottle.js';
+import {
+  isTwoFactorEnabled,
+  verifyLoginChallenge,
+  verifyTotpForUser,
+  verifySecondFactor,
+  generateRecoveryCodes
+} from '../lib/twoFactor.js';
+
+const router = express.Router();
+
+// Complete a two-step login
+router.post('/verify', async (req, res) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const userId = challenge_token && verifyLoginChallenge(challenge_token);
+    if (!userId) {
+      logger.warn('Two-factor verification with invalid challenge', { ip: req.ip });
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    const user = await prisma.users.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user || !isTwoFactorEnabled(user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired'
+      });
+    }
+
+    if (isLocked(user)) {
+      logger.warn('Two-factor verification on locked account', { userId, ip: req.ip });
+      return res.status(423).json({
+        success: false,
+        message: 'Account is temporarily locked due to too many failed login attempts',
+        locked_until: user.locked_until
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recovery_code });
+    if (!method) {
+      logger.warn('Two-factor verification with invalid code', { userId, ip: req.ip });
+      // Wrong codes count towards the same lockout as wrong passwords
+      const { locked, lockedUntil } = await recordLoginFailure({
+        email: user.email,
+        ip: req.ip,
+        user,
+        reason: 'invalid two-factor code'
+      });
+      if (locked) {
+        return res.status(423).json({
+          success: false,
+          message: 'Account is temporarily locked due to too many failed login attempts',
+          locked_until: lockedUntil
+        });
+      }
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    await recordLoginSuccess({ email: user.email, ip: req.ip, user });
+
+    res.json(await startLoginSession(user, req, { method: method === 'totp' ? '2fa' : '2fa recovery code' }));
+  } catch (error) {
+    logger.error('Two-factor verification error:', {
+      error: error.message,
+      stack: error.stack
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Login failed. Please try again.'
+    });
+  }
+});
+
+// Get two-factor status
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const recoveryCodesRemaining = await prisma.recovery_codes.count({
+      where: { user_id: req.user.id, used_at: null }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        enabled: isTwoFactorEnabled(req.user),
+        enabled_at: req.user.totp_enabled_at,
+        recovery_codes_remaining: recoveryCodesRemaining
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching two-factor status:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Start enrollment
+router.post('/setup', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    // Pending until confirmed with a valid code
+    const secret = generateSecret();
+    await prisma.users.update({
+      where: { id: userId },
+      data: {
+        totp_secret: secret,
+        totp_last_step: null
+      }
+    });
+
+    logger.info('Two-factor enrollment started', { userId });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauth_uri: buildOtpauthUri({
+          secret,
+          account: req.user.email,
+          issuer: process.env.TOTP_ISSUER || 'E-commerce'
+        })
+      }
+    });
+  } catch (error) {
+    logger.error('Error starting two-factor enrollment:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Confirm enrollment
+router.post('/confirm', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+
+    if (isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!req.user.totp_secret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    if (!await verifyTotpForUser(req.user, code)) {
+      logger.warn('Two-factor confirmation with invalid code', { userId });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.users.update({
+        where: { id: userId },
+        data: { totp_enabled_at: new Date() }
+      });
+
+      await tx.activity_logs.create({
+        data: {
+          user_id: userId,
+          action: 'ENABLE_2FA',
+          description: 'Enabled two-factor authentication'
+        }
+      });
+
+      return generateRecoveryCodes(userId, tx);
+    });
+
+    logger.info('Two-factor authentication enabled', { userId });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Error confirming two-factor enrollment:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Disable two-factor authentication
+router.post('/disable', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { password, code, recovery_code } = req.body;
+
+    if (!isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Accounts without a password (provider logins) only need the second factor
+    const isMatch = !req.user.password_hash || (!!password && await bcrypt.compare(password, req.user.password_hash));
+    if (!isMatch || !await verifySecondFactor(req.user, { code, recovery_code })) {
+      logger.warn('Two-factor disable attempt with invalid credentials', { userId });
+      return res.status(400).json({
+        success: false,
+        message: 'Password and a valid two-factor code are required'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.users.update({
+        where: { id: userId },
+        data: {
+          totp_secret: null,
+          totp_enabled_at: null,
+          totp_last_step: null
+        }
+      }),
+      prisma.recovery_codes.deleteMany({
+        where: { user_id: userId }
+      }),
+      prisma.activity_logs.create({
+        data: {
+          user_id: userId,
+          action: 'DISABLE_2FA',
+          description: 'Disabled two-factor authentication'
+        }
+      })
+    ]);
+
+    logger.info('Two-factor authentication disabled', { userId });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Error disabling two-factor authentication:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+// Regenerate recovery codes
+router.post('/recovery-codes', authenticate, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { code } = req.body;
+
+    if (!isTwoFactorEnabled(req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await verifyTotpForUser(req.user, code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = await prisma.$transaction(async (tx) => {
+      await tx.activity_logs.create({
+        data: {
+          user_id: userId,
+          action: 'REGENERATE_RECOVERY_CODES',
+          description: 'Regenerated two-factor recovery codes'
+        }
+      });
+
+      return generateRecoveryCodes(userId, tx);
+    });
+
+    logger.info('Recovery codes regenerated', { userId });
+
+    res.json({
+      success: true,
+      data: {
+        recovery_codes: recoveryCodes
+      }
+    });
+  } catch (error) {
+    logger.error('Error regenerating recovery codes:', {
+      error: error.message,
+      stack: error.stack,
+      userId: req.user.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Server error'
+    });
+  }
+});
+
+export default router;
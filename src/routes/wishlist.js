@@ -2,6 +2,7 @@ import express from 'express';
 import prisma from '../lib/prisma.js';
 import logger from '../lib/logger.js';
 import { authenticate } from '../middleware/auth.js';
+import { withItemPricing } from '../lib/pricing.js';
 
 const router = express.Router();
 
@@ -15,7 +16,9 @@ router.get('/', authenticate, async (req, res) => {
       include: {
         product_variants: {
           include: {
-            products: true
+            products: {
+              include: { categories: true }
+            }
           }
         }
       },
@@ -30,7 +33,7 @@ router.get('/', authenticate, async (req, res) => {
     res.json({
       success: true,
       count: wishlist.length,
-      data: wishlist
+      data: wishlist.map(withItemPricing)
     });
   } catch (error) {
     logger.error('Error fetching user wishlist:', { 
@@ -96,7 +99,9 @@ router.post('/', authenticate, async (req, res) => {
       include: {
         product_variants: {
           include: {
-            products: true
+            products: {
+              include: { categories: true }
+            }
           }
         }
       }
@@ -119,7 +124,7 @@ router.post('/', authenticate, async (req, res) => {
 
     res.status(201).json({
       success: true,
-      data: wishlistItem
+      data: withItemPricing(wishlistItem)
     });
   } catch (error) {
     logger.error('Error adding item to wishlist:', { 
@@ -0,0 +1,54 @@
+export const normalizeCardNumber = (cardNumber) => String(cardNumber || '').replace(/[\s-]/g, '');
+
+// Luhn checksum used by all major card networks
+export const isValidLuhn = (cardNumber) => {
+  const digits = normalizeCardNumber(cardNumber);
+  if (!/^[0-9]{12,19}$/.test(digits)) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const BRAND_PATTERNS = [
+  ['visa', /^4/],
+  ['mastercard', /^(5[1-5]|2(2[2-9]|[3-6][0-9]|7[01]|720))/],
+  ['amex', /^3[47]/],
+  ['discover', /^(6011|65|64[4-9])/],
+  ['diners', /^3(0[0-5]|[689])/],
+  ['jcb', /^35/]
+];
+
+export const detectCardBrand = (cardNumber) => {
+  const digits = normalizeCardNumber(cardNumber);
+  const match = BRAND_PATTERNS.find(([, pattern]) => pattern.test(digits));
+  return match ? match[0] : 'unknown';
+};
+
+// Parse MM/YY into numbers, or null if malformed
+export const parseExpiry = (expiryDate) => {
+  const match = /^(0[1-9]|1[0-2])\/([0-9]{2})$/.exec(String(expiryDate || ''));
+  if (!match) {
+    return null;
+  }
+  return {
+    month: parseInt(match[1]),
+    year: 2000 + parseInt(match[2])
+  };
+};
+
+// Cards are valid through the last day of their expiry month
+export const isExpired = ({ month, year }, now = new Date()) => {
+  return year < now.getFullYear() || (year === now.getFullYear() && month < now.getMonth() + 1);
+};
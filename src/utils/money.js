@@ -0,0 +1,4 @@
+// Amounts are Prisma Decimals in the database and integer cents at provider boundaries
+export const toCents = (amount) => Math.round(Number(amount) * 100);
+
+export const fromCents = (cents) => (cents / 100).toFixed(2);
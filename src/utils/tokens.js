@@ -0,0 +1,7 @@
+import crypto from 'crypto';
+
+// Random URL-safe token for links and refresh tokens
+export const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+// Only token hashes are persisted, never the tokens themselves
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
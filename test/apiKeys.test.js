@@ -0,0 +1,40 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadApp, startServer } from './helpers.js';
+
+// Rejected before authentication, so these run without a database
+describe('API keys on customer routes', () => {
+  let server;
+
+  before(async () => {
+    const { app } = await loadApp();
+    server = await startServer(app);
+  });
+
+  after(() => server?.close());
+
+  const withApiKey = async (method, path) => {
+    const response = await fetch(`${server.baseUrl}${path}`, {
+      method,
+      headers: { 'X-API-Key': 'sk_test', 'Content-Type': 'application/json' },
+      body: method === 'GET' ? undefined : '{}'
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  for (const [method, path] of [
+    ['POST', '/api/orders'],
+    ['GET', '/api/orders'],
+    ['POST', '/api/cart'],
+    ['POST', '/api/cart/checkout'],
+    ['POST', '/api/payments'],
+    ['POST', '/api/returns'],
+    ['GET', '/api/profile']
+  ]) {
+    it(`rejects ${method} ${path}`, async () => {
+      const { status, body } = await withApiKey(method, path);
+      assert.equal(status, 403);
+      assert.equal(body.message, 'API keys cannot be used on customer routes');
+    });
+  }
+});
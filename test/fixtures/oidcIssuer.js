@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+
+const base64Url = (buffer) => buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = async (req) => {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return Object.fromEntries(new URLSearchParams(body));
+};
+
+// A local OpenID Connect issuer: discovery, JWKS, an authorization endpoint that signs in
+// whoever signInAs() chose and redirects straight back, and a token endpoint that checks PKCE
+export const startOidcIssuer = async ({ clientId, clientSecret }) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  // Signs tokens the issuer never published, to test signature checks
+  const { privateKey: foreignKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+
+  const codes = new Map();
+  let nextLogin = null;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuer.url);
+
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: issuer.url,
+        authorization_endpoint: `${issuer.url}/authorize`,
+        token_endpoint: `${issuer.url}/token`,
+        jwks_uri: `${issuer.url}/jwks`,
+        response_types_supported: ['code'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256']
+      });
+    }
+
+    if (url.pathname === '/jwks') {
+      return sendJson(res, 200, {
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+      });
+    }
+
+    if (url.pathname === '/authorize') {
+      const params = Object.fromEntries(url.searchParams);
+      if (params.client_id !== clientId || params.code_challenge_method !== 'S256' || !nextLogin) {
+        return sendJson(res, 400, { error: 'invalid_request' });
+      }
+
+      const code = base64Url(crypto.randomBytes(16));
+      codes.set(code, { ...params, ...nextLogin });
+      nextLogin = null;
+
+      const redirect = new URL(params.redirect_uri);
+      redirect.searchParams.set('code', code);
+      redirect.searchParams.set('state', params.state);
+      res.writeHead(302, { Location: redirect.toString() });
+      return res.end();
+    }
+
+    if (url.pathname === '/token' && req.method === 'POST') {
+      const form = await readForm(req);
+      const grant = codes.get(form.code);
+      codes.delete(form.code);
+
+      if (!grant || form.grant_type !== 'authorization_code'
+        || form.client_id !== clientId || form.client_secret !== clientSecret
+        || form.redirect_uri !== grant.redirect_uri) {
+        return sendJson(res, 400, { error: 'invalid_grant' });
+      }
+
+      const challenge = base64Url(crypto.createHash('sha256').update(form.code_verifier || '').digest());
+      if (challenge !== grant.code_challenge) {
+        return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+      }
+
+      const idToken = jwt.sign(
+        { nonce: grant.nonce, ...grant.claims, ...grant.idTokenClaims },
+        grant.foreignKey ? foreignKey : privateKey,
+        { algorithm: 'RS256', keyid: kid, audience: clientId, issuer: issuer.url, expiresIn: '5m' }
+      );
+
+      return sendJson(res, 200, {
+        access_token: base64Url(crypto.randomBytes(16)),
+        token_type: 'Bearer',
+        id_token: idToken
+      });
+    }
+
+    sendJson(res, 404, { error: 'not_found' });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const issuer = {
+    url: `http://127.0.0.1:${server.address().port}`,
+
+    // Who the next authorization signs in as. idTokenClaims override what goes into the
+    // ID token (e.g. a different nonce); foreignKey signs it with an unpublished key.
+    signInAs(claims, { idTokenClaims = {}, foreignKey = false } = {}) {
+      nextLogin = { claims, idTokenClaims, foreignKey };
+    },
+
+    // Follow an authorization URL like a browser would and return the code and state
+    // the issuer redirected back with
+    async authorize(authorizationUrl) {
+      const response = await fetch(authorizationUrl, { redirect: 'manual' });
+      if (response.status !== 302) {
+        throw new Error(`Authorization failed with status ${response.status}`);
+      }
+      const location = new URL(response.headers.get('location'));
+      return {
+        code: location.searchParams.get('code'),
+        state: location.searchParams.get('state')
+      };
+    },
+
+    close() {
+      server.closeAllConnections();
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+
+  return issuer;
+};
@@ -0,0 +1,74 @@
+import crypto from 'crypto';
+
+// Tests that need PostgreSQL run against TEST_DATABASE_URL, migrated with
+// DATABASE_URL=$TEST_DATABASE_URL npx prisma migrate deploy; without it they are skipped
+const testDatabaseUrl = process.env.TEST_DATABASE_URL;
+
+export const skipWithoutDatabase = testDatabaseUrl ? false : 'TEST_DATABASE_URL is not set';
+
+// Import the app only after pointing it at the test database, since the Prisma client
+// reads DATABASE_URL when it is created
+export const loadApp = async () => {
+  if (testDatabaseUrl) {
+    process.env.DATABASE_URL = testDatabaseUrl;
+    process.env.DIRECT_URL = testDatabaseUrl;
+  }
+  process.env.JWT_SECRET ||= 'test_jwt_secret';
+  process.env.MAIL_TRANSPORT = 'log';
+  // Image uploads are not exercised, but the storage client needs credentials to load
+  process.env.SUPABASE_URL ||= 'http://127.0.0.1:54321';
+  process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test_service_role_key';
+
+  const { default: app } = await import('../src/app.js');
+  const { default: prisma } = await import('../src/lib/prisma.js');
+  return { app, prisma };
+};
+
+// Listen on a free port and return a small JSON client for it
+export const startServer = async (app) => {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const headers = { Accept: 'application/json' };
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  return { baseUrl, request, close };
+};
+
+// A verified customer with an open session
+export const createUser = async (prisma, data = {}) => {
+  const { createSession } = await import('../src/lib/sessions.js');
+
+  const user = await prisma.users.create({
+    data: {
+      email: `${crypto.randomUUID()}@example.test`,
+      name: 'Test Customer',
+      email_verified_at: new Date(),
+      ...data
+    }
+  });
+  const { token } = await createSession(user.id, { get: () => undefined, ip: '127.0.0.1' });
+
+  return { user, token };
+};
@@ -0,0 +1,159 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import bcrypt from 'bcryptjs';
+import { skipWithoutDatabase, loadApp, startServer, createUser } from './helpers.js';
+import { startOidcIssuer } from './fixtures/oidcIssuer.js';
+
+const CLIENT_ID = 'test-client';
+const CLIENT_SECRET = 'test-client-secret';
+
+describe('OpenID Connect login', { skip: skipWithoutDatabase }, () => {
+  let issuer;
+  let server;
+  let prisma;
+
+  before(async () => {
+    issuer = await startOidcIssuer({ clientId: CLIENT_ID, clientSecret: CLIENT_SECRET });
+
+    process.env.OIDC_PROVIDERS = 'mock';
+    process.env.OIDC_MOCK_ISSUER = issuer.url;
+    process.env.OIDC_MOCK_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_MOCK_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.OIDC_MOCK_REDIRECT_URI = 'http://localhost:3000/auth/callback/mock';
+
+    const loaded = await loadApp();
+    prisma = loaded.prisma;
+    server = await startServer(loaded.app);
+  });
+
+  after(async () => {
+    await server?.close();
+    await issuer?.close();
+    await prisma?.$disconnect();
+  });
+
+  const newSubject = () => crypto.randomUUID();
+  const newEmail = () => `${crypto.randomUUID()}@example.test`;
+
+  // Start a login (or a link, with a token), sign in at the issuer and return its redirect
+  const authorize = async (claims, { token, ...options } = {}) => {
+    const start = token
+      ? await server.request('POST', '/api/auth/oidc/mock/link', { token })
+      : await server.request('GET', '/api/auth/oidc/mock/authorize');
+    assert.equal(start.status, 200);
+
+    issuer.signInAs(claims, options);
+    return issuer.authorize(start.body.data.authorization_url);
+  };
+
+  it('round-trips state and PKCE and creates the user', async () => {
+    const email = newEmail();
+    const subject = newSubject();
+    const redirect = await authorize({ sub: subject, email, email_verified: true, name: 'Ada' });
+
+    const stored = await prisma.oauth_states.findUnique({ where: { state: redirect.state } });
+    assert.ok(stored, 'state is remembered until the callback');
+
+    const callback = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(callback.status, 200);
+    assert.ok(callback.body.token);
+    assert.equal(callback.body.user.email, email);
+
+    const identity = await prisma.user_identities.findUnique({
+      where: { provider_subject: { provider: 'mock', subject } },
+      include: { users: true }
+    });
+    assert.equal(identity.users.email, email);
+    assert.ok(identity.users.email_verified_at);
+
+    // The state is single use
+    const replay = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(replay.status, 401);
+  });
+
+  it('rejects a state it did not issue', async () => {
+    const redirect = await authorize({ sub: newSubject(), email: newEmail() });
+
+    const callback = await server.request('POST', '/api/auth/oidc/mock/callback', {
+      body: { code: redirect.code, state: 'not-a-real-state' }
+    });
+    assert.equal(callback.status, 401);
+  });
+
+  it('fails the code exchange when the PKCE verifier does not match', async () => {
+    const redirect = await authorize({ sub: newSubject(), email: newEmail() });
+
+    // Tamper with the stored verifier; the issuer then refuses the code
+    await prisma.oauth_states.update({
+      where: { state: redirect.state },
+      data: { code_verifier: 'a'.repeat(64) }
+    });
+
+    const callback = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(callback.status, 401);
+    assert.equal(callback.body.message, 'Could not exchange authorization code');
+  });
+
+  it('rejects an ID token with the wrong nonce', async () => {
+    const redirect = await authorize(
+      { sub: newSubject(), email: newEmail() },
+      { idTokenClaims: { nonce: 'replayed-nonce' } }
+    );
+
+    const callback = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(callback.status, 401);
+    assert.equal(callback.body.message, 'ID token nonce mismatch');
+  });
+
+  it('rejects an ID token signed with a key the issuer did not publish', async () => {
+    const redirect = await authorize({ sub: newSubject(), email: newEmail() }, { foreignKey: true });
+
+    const callback = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(callback.status, 401);
+    assert.match(callback.body.message, /^Invalid ID token: invalid signature/);
+  });
+
+  it('links and unlinks a provider on an existing account', async () => {
+    const { user, token } = await createUser(prisma, {
+      password_hash: await bcrypt.hash('correct horse battery', 4)
+    });
+    const subject = newSubject();
+
+    const redirect = await authorize({ sub: subject, email: newEmail() }, { token });
+
+    // Completing someone else's link is refused
+    const anonymous = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(anonymous.status, 401);
+
+    const retry = await authorize({ sub: subject, email: newEmail() }, { token });
+    const linked = await server.request('POST', '/api/auth/oidc/mock/callback', { token, body: retry });
+    assert.equal(linked.status, 200);
+    assert.equal(linked.body.message, 'Account linked');
+
+    const identities = await server.request('GET', '/api/auth/oidc/identities', { token });
+    assert.deepEqual(identities.body.data.map(identity => identity.provider), ['mock']);
+
+    // Logging in with the linked identity signs in the same account
+    const login = await authorize({ sub: subject, email: newEmail() });
+    const loggedIn = await server.request('POST', '/api/auth/oidc/mock/callback', { body: login });
+    assert.equal(loggedIn.status, 200);
+    assert.equal(loggedIn.body.user.id, user.id);
+
+    const unlinked = await server.request('DELETE', '/api/auth/oidc/identities/mock', { token });
+    assert.equal(unlinked.status, 200);
+
+    const remaining = await prisma.user_identities.count({ where: { user_id: user.id } });
+    assert.equal(remaining, 0);
+  });
+
+  it('keeps the only login method of a passwordless account', async () => {
+    const subject = newSubject();
+    const redirect = await authorize({ sub: subject, email: newEmail(), email_verified: true });
+    const login = await server.request('POST', '/api/auth/oidc/mock/callback', { body: redirect });
+    assert.equal(login.status, 200);
+
+    const unlink = await server.request('DELETE', '/api/auth/oidc/identities/mock', { token: login.body.token });
+    assert.equal(unlink.status, 400);
+  });
+});
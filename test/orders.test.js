@@ -0,0 +1,77 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { skipWithoutDatabase, loadApp, startServer, createUser } from './helpers.js';
+
+const SHIPPING_ADDRESS = {
+  street: '1 Test Street',
+  city: 'Springfield',
+  state: 'IL',
+  country: 'US',
+  postal_code: '62701'
+};
+
+describe('Placing orders', { skip: skipWithoutDatabase }, () => {
+  let server;
+  let prisma;
+
+  before(async () => {
+    const loaded = await loadApp();
+    prisma = loaded.prisma;
+    server = await startServer(loaded.app);
+  });
+
+  after(async () => {
+    await server?.close();
+    await prisma?.$disconnect();
+  });
+
+  // A customer who can check out straight away with a saved card
+  const createCustomer = async () => {
+    const customer = await createUser(prisma);
+    await prisma.payment_methods.create({
+      data: {
+        user_id: customer.user.id,
+        brand: 'visa',
+        last4: '4242',
+        expiry_date: '12/30',
+        card_holder_name: 'Test Customer',
+        token: 'tok_test',
+        provider: 'fake',
+        is_default: true
+      }
+    });
+    return customer;
+  };
+
+  it('sells the last unit only once when two orders race for it', async () => {
+    const product = await prisma.products.create({
+      data: {
+        name: 'Last one in stock',
+        base_price: 10,
+        product_variants: {
+          create: { price: 10, stock_qty: 1 }
+        }
+      },
+      include: { product_variants: true }
+    });
+    const variantId = product.product_variants[0].id;
+    const customers = await Promise.all([createCustomer(), createCustomer()]);
+
+    const responses = await Promise.all(customers.map(({ token }) => server.request('POST', '/api/orders', {
+      token,
+      body: {
+        items: [{ variant_id: variantId, quantity: 1 }],
+        shipping_address: SHIPPING_ADDRESS
+      }
+    })));
+
+    assert.deepEqual(responses.map(response => response.status).sort(), [201, 409]);
+
+    const rejected = responses.find(response => response.status === 409);
+    assert.equal(rejected.body.variants[0].variant_id, variantId);
+    assert.equal(rejected.body.variants[0].available, 0);
+
+    const variant = await prisma.product_variants.findUnique({ where: { id: variantId } });
+    assert.equal(variant.stock_qty, 0);
+  });
+});